@@ -0,0 +1,99 @@
+// test/builder-cli.test.mjs — offline runs of tools/build-yt-tldr.mjs in a scratch directory (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+const REPO = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const BUILDER = path.join(REPO, 'tools/build-yt-tldr.mjs');
+const VIDEO_ID = 'abcDEF12345';
+
+// the builder works on process.cwd(); sources (assets, docs) come from the repo
+function runBuilder(cwd, args, env = {}) {
+  return promisify(execFile)(process.execPath, [BUILDER, ...args], {
+    cwd,
+    timeout: 120000,
+    env: {
+      PATH: process.env.PATH,
+      SITE_URL: 'https://x.test/site',
+      SUMMARIZER: 'mock',
+      ASSETS_FILE: path.join(REPO, 'tools/assets.json'),
+      ASR_CORPUS_FILE: path.join(REPO, 'tools/asr-corpus.json'),
+      DOCS_SOURCE_DIR: path.join(REPO, 'tools/docs'),
+      ...env
+    }
+  });
+}
+
+async function fixtureSite(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'yt-tldr-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const publishedAt = '2026-01-05T20:00:00Z';
+  await fs.mkdir(path.join(dir, 'summaries'));
+  await fs.writeFile(path.join(dir, 'summaries', `${VIDEO_ID}.json`), JSON.stringify({
+    schemaVersion: 1, videoId: VIDEO_ID, title: 'Crypto Daily Update - BTC holds 110k',
+    url: `https://youtu.be/${VIDEO_ID}`, publishedAt, datePT: '2026-01-05', section: 'Daily Close Updates',
+    slug: VIDEO_ID, permalink: `summaries/${VIDEO_ID}.html`,
+    bullets: ['BTC is holding the 110k support', 'SOL needs a close above 185'], bulletTimes: [12, null],
+    long: {
+      context: 'Daily close update.',
+      key_levels: [{ asset: 'BTC', level: '110k', direction: 'support', notes: 'weekly open' }],
+      setups: [{ name: 'SOL reclaim', trigger: '185', invalidation: '172', targets: '200' }],
+      takeaways: ['Patience until the close'], catalysts: [], notable_details: []
+    },
+    transcriptSource: 'mock', summarizer: { mode: 'mock', model: 'mock' }, validation: null, generatedAt: publishedAt
+  }));
+  await fs.writeFile(path.join(dir, '.processed.json'), JSON.stringify({
+    [VIDEO_ID]: { summarizedAt: publishedAt, title: 'Crypto Daily Update - BTC holds 110k', publishedAt, section: 'Daily Close Updates', status: 'ok', attempts: 1, nextRetryAt: null }
+  }));
+  return dir;
+}
+
+test('--rebuild renders every site output from stored JSON alone', async t => {
+  const dir = await fixtureSite(t);
+  await runBuilder(dir, ['--rebuild']);
+  const read = rel => fs.readFile(path.join(dir, rel), 'utf8');
+
+  const page = await read(`summaries/${VIDEO_ID}.html`);
+  assert.match(page, new RegExp(`<link rel="canonical" href="https://x.test/site/summaries/${VIDEO_ID}.html"`));
+  assert.match(page, /application\/ld\+json/);
+  assert.match(page, /BTC is holding the 110k support/);
+
+  assert.equal(JSON.parse(await read('latest.json')).videoId, VIDEO_ID);
+  const index = JSON.parse(await read('yt-index.json'));
+  assert.deepEqual(index.sections.map(s => [s.title, s.items.map(i => i.videoId)]), [['Daily Close Updates', [VIDEO_ID]]]);
+  assert.match(await read('summaries.html'), /Daily Close Updates/);
+  assert.match(await read('search-index.json'), new RegExp(VIDEO_ID));
+  assert.match(await read('feed.xml'), new RegExp(`https://x.test/site/summaries/${VIDEO_ID}.html`));
+  assert.equal(JSON.parse(await read('feed.json')).items.length, 1);
+  assert.match(await read('sitemap.xml'), new RegExp(`<loc>https://x.test/site/summaries/${VIDEO_ID}.html</loc>`));
+  assert.ok(JSON.parse(await read('docs.json')).docs.length > 0);
+
+  // a second rebuild from the same data changes no page
+  await runBuilder(dir, ['--rebuild']);
+  assert.equal(await read(`summaries/${VIDEO_ID}.html`), page);
+});
+
+test('--rebuild --dry-run writes nothing', async t => {
+  const dir = await fixtureSite(t);
+  const { stdout } = await runBuilder(dir, ['--rebuild', '--dry-run']);
+  assert.match(stdout, /nothing was written/);
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['.processed.json', 'summaries']);
+  assert.deepEqual(await fs.readdir(path.join(dir, 'summaries')), [`${VIDEO_ID}.json`]);
+});
+
+test('--check-asr passes on the committed corpus and fails on a broken expectation', async t => {
+  const { stdout } = await runBuilder(REPO, ['--check-asr'], { SITE_URL: '' });
+  assert.match(stdout, /ASR corpus: (\d+)\/\1 snippets pass/);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'yt-tldr-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const corpus = path.join(dir, 'corpus.json');
+  await fs.writeFile(corpus, JSON.stringify([{ text: 'btc needs to reclaim 110k', expect: 'btc needs to reclaim 110k', note: 'left as heard' }]));
+  await assert.rejects(runBuilder(REPO, ['--check-asr'], { SITE_URL: '', ASR_CORPUS_FILE: corpus }),
+    err => err.code === 1 && /left as heard/.test(err.stderr) && /0\/1 snippets pass/.test(err.stdout));
+});
@@ -0,0 +1,65 @@
+// test/chunking.test.mjs — map-reduce helpers for long transcripts in tools/build-yt-tldr.mjs (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkTranscript, mergePartialSummaries } from '../tools/build-yt-tldr.mjs';
+
+// longest run of a's closing words that b opens with (the carried overlap), '' when none
+const sharedTail = (a, b) => {
+  const words = a.split(' ');
+  for (let i = 1; i < words.length; i++) {
+    const tail = words.slice(i).join(' ');
+    if (b.startsWith(`${tail} `)) return tail;
+  }
+  return '';
+};
+
+test('a transcript within the chunk size is one chunk', () => {
+  assert.deepEqual(chunkTranscript('Short one. Done.', 100, 20), ['Short one. Done.']);
+});
+
+test('sentence chunks stay within the size and overlap at the boundary', () => {
+  const text = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} talks about BTC.`).join(' ');
+  const chunks = chunkTranscript(text, 400, 80);
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) assert.ok(c.length <= 400, `chunk of ${c.length}`);
+  for (let i = 1; i < chunks.length; i++) assert.ok(sharedTail(chunks[i - 1], chunks[i]).length > 0);
+  assert.ok(chunks.join(' ').includes('Sentence number 59'));
+});
+
+test('unpunctuated captions still carry a word-level overlap', () => {
+  const text = Array.from({ length: 400 }, (_, i) => `w${i}`).join(' ');
+  const chunks = chunkTranscript(text, 400, 80);
+  assert.ok(chunks.length > 1);
+  for (let i = 1; i < chunks.length; i++) {
+    const tail = sharedTail(chunks[i - 1], chunks[i]);
+    assert.ok(tail.length > 0 && tail.length <= 80, `chunk ${i} shares ${JSON.stringify(tail)}`);
+  }
+  assert.ok(chunks.at(-1).endsWith('w399'));
+});
+
+test('the chunk count is bounded by growing the chunks', () => {
+  const text = Array.from({ length: 2000 }, (_, i) => `Line ${i}.`).join(' ');
+  assert.ok(chunkTranscript(text, 200, 20).length <= 9);
+});
+
+test('merging partial summaries dedupes levels, setups and bullets', () => {
+  const part = (tldr, level, extra = {}) => ({
+    tldr,
+    long: {
+      context: 'Daily update.',
+      key_levels: [{ asset: 'BTC', level, direction: 'support' }],
+      setups: [{ name: 'BTC bounce', trigger: '110k' }],
+      takeaways: ['Be patient'],
+      ...extra
+    }
+  });
+  const merged = mergePartialSummaries([
+    part(['BTC holds support', 'SOL lags'], '110k'),
+    part(['btc holds support!', 'ETH wakes up'], '110,000', { takeaways: ['Be patient.', 'Size down'] })
+  ]);
+  assert.deepEqual(merged.tldr, ['BTC holds support', 'SOL lags', 'ETH wakes up']);
+  assert.equal(merged.long.context, 'Daily update.');
+  assert.equal(merged.long.key_levels.length, 1);
+  assert.equal(merged.long.setups.length, 1);
+  assert.deepEqual(merged.long.takeaways, ['Be patient', 'Size down']);
+});
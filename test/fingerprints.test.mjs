@@ -0,0 +1,31 @@
+// test/fingerprints.test.mjs — edits made on YouTube after processing, tools/build-yt-tldr.mjs (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { contentFingerprint, fingerprintChanges } from '../tools/build-yt-tldr.mjs';
+
+const captions = (etag, tracks = ['en']) => ({ tracks, etag, checkedAt: '2026-01-01T00:00:00Z' });
+
+test('contentFingerprint hashes the description and leaves an unknown one null', () => {
+  const fp = contentFingerprint({ title: 'T', description: 'levels below' });
+  assert.equal(fp.title, 'T');
+  assert.match(fp.descriptionHash, /^[0-9a-f]{16}$/);
+  assert.equal(fp.captions, null);
+  assert.equal(contentFingerprint({ title: 'T' }).descriptionHash, null); // RSS: no description
+});
+
+test('no previous fingerprint seeds instead of reporting changes', () => {
+  assert.deepEqual(fingerprintChanges(undefined, contentFingerprint({ title: 'T' })), []);
+});
+
+test('title, description and caption edits are each reported', () => {
+  const prev = { ...contentFingerprint({ title: 'Old', description: 'a' }), captions: captions('e1') };
+  const next = { ...contentFingerprint({ title: 'New', description: 'b' }), captions: captions('e2', ['en', 'es']) };
+  assert.deepEqual(fingerprintChanges(prev, next).map(c => c.field), ['title', 'description', 'captions']);
+  assert.deepEqual(fingerprintChanges(prev, next)[0], { field: 'title', from: 'Old', to: 'New' });
+  assert.deepEqual(fingerprintChanges(prev, next)[2], { field: 'captions', from: 'en', to: 'en, es' });
+});
+
+test('an unchanged fingerprint reports nothing', () => {
+  const fp = { ...contentFingerprint({ title: 'T', description: 'd' }), captions: captions('e1') };
+  assert.deepEqual(fingerprintChanges(fp, structuredClone(fp)), []);
+});
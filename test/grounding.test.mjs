@@ -0,0 +1,40 @@
+// test/grounding.test.mjs — per-claim numeric grounding in tools/build-yt-tldr.mjs (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { groundSummary } from '../tools/build-yt-tldr.mjs';
+
+const transcript = 'Bitcoin is sitting on 110k support, and if we lose $108,500 I am out. SOL wants 185 then 200.';
+
+test('supported numbers stay and point at the transcript span that backs them', () => {
+  const { bullets, long } = groundSummary(['BTC holds 110k'], {
+    context: 'BTC on 110,000 support.',
+    key_levels: [{ asset: 'BTC', level: '110k', direction: 'support', notes: 'out below $108,500' }]
+  }, transcript);
+  assert.deepEqual(bullets, ['BTC holds 110k']);
+  assert.equal(long.context, 'BTC on 110,000 support.');
+  const [level] = long.key_levels;
+  assert.equal(level.verified, true);
+  assert.equal(transcript.slice(level.evidence.start, level.evidence.end).trim(), '110k');
+  assert.equal(long.grounding.removed.length, 0);
+  assert.equal(long.grounding.verified, long.grounding.checked);
+});
+
+test('unsupported numbers are masked in prose and drop their level', () => {
+  const { bullets, long } = groundSummary(['BTC targets 125k next'], {
+    context: 'SOL to 185, maybe 240.',
+    takeaways: ['Risk 2% per trade'],
+    key_levels: [{ asset: 'BTC', level: '125k', direction: 'resistance' }, { asset: 'SOL', level: 'the range low', direction: 'support' }]
+  }, transcript);
+  assert.deepEqual(bullets, ['BTC targets — next']);
+  assert.equal(long.context, 'SOL to 185, maybe —.');
+  assert.deepEqual(long.takeaways, ['Risk — per trade']);
+  assert.deepEqual(long.key_levels.map(l => l.level), ['the range low']); // no number, nothing to check
+  assert.deepEqual(long.grounding.removed.map(r => r.field).sort(), ['bullets[0]', 'context', 'key_levels[0].level', 'takeaways[0]']);
+});
+
+test('a setup survives with only its unsupported fields blanked', () => {
+  const { long } = groundSummary([], {
+    setups: [{ name: 'SOL breakout', thesis: 'Reclaim of 185', trigger: '185', invalidation: '171', targets: '200' }]
+  }, transcript);
+  assert.deepEqual(long.setups, [{ name: 'SOL breakout', thesis: 'Reclaim of 185', trigger: '185', invalidation: '', targets: '200' }]);
+});
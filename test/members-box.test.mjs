@@ -0,0 +1,29 @@
+// test/members-box.test.mjs — sealed members-only content, tools/members-box.mjs (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { sealMembersContent, openMembersContent } from '../tools/members-box.mjs';
+
+const html = '<section id="long-form"><h2>Key levels</h2><p>BTC 110k — “weekly open”</p></section>';
+
+test('sealed content round-trips and does not hold the plain text', () => {
+  const sealed = sealMembersContent(html, 'k1', 'abc123.html');
+  assert.match(sealed, /^m1\.[\w-]+\.[\w-]+\.[\w-]+\n$/);
+  assert.ok(!sealed.includes('110k'));
+  assert.equal(openMembersContent(sealed, 'k1', 'abc123.html'), html);
+});
+
+test('each seal uses a fresh IV', () => {
+  assert.notEqual(sealMembersContent(html, 'k1', 'a.html'), sealMembersContent(html, 'k1', 'a.html'));
+});
+
+test('a wrong key, another file name or tampering opens to null', () => {
+  const sealed = sealMembersContent(html, 'k1', 'abc123.html');
+  assert.equal(openMembersContent(sealed, 'k2', 'abc123.html'), null);
+  assert.equal(openMembersContent(sealed, 'k1', 'other1.html'), null); // AAD: bound to its own name
+  const [v, iv, tag, body] = sealed.trim().split('.');
+  const flipped = Buffer.from(body, 'base64url');
+  flipped[0] ^= 1;
+  assert.equal(openMembersContent([v, iv, tag, flipped.toString('base64url')].join('.'), 'k1', 'abc123.html'), null);
+  assert.equal(openMembersContent('m0.x.y.z', 'k1', 'abc123.html'), null);
+  assert.equal(openMembersContent('', 'k1', 'abc123.html'), null);
+});
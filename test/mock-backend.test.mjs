@@ -0,0 +1,21 @@
+// test/mock-backend.test.mjs — SUMMARIZER=mock output stays within the summary schema (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockBackend, validateSummaryJSON } from '../tools/build-yt-tldr.mjs';
+
+const summarize = transcript => createMockBackend()
+  .complete({ messages: [{ role: 'user', content: `Title: test\nTranscript:\n${transcript}` }] })
+  .then(JSON.parse);
+
+test('mock output from a punctuated transcript validates and picks up levels', async () => {
+  const out = await summarize('BTC is holding support at 110k. SOL got rejected at 185 resistance. Patience today. ' +
+    'Watch the weekly close. Volume is thin. Funding is flat. Alts follow BTC. Nothing else matters. Stay safe.');
+  assert.deepEqual(validateSummaryJSON(out), []);
+  assert.deepEqual(out.long.key_levels.map(l => [l.asset, l.direction]), [['BTC', 'support'], ['SOL', 'resistance']]);
+});
+
+test('an unpunctuated caption run is clipped to the schema limits', async () => {
+  const out = await summarize(Array(2000).fill('so btc is just chopping around here').join(' '));
+  assert.deepEqual(validateSummaryJSON(out), []);
+  assert.ok(out.long.context.length <= 1200);
+});
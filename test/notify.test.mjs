@@ -0,0 +1,35 @@
+// test/notify.test.mjs — NOTIFY_WEBHOOKS parsing and section routing, tools/build-yt-tldr.mjs (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNotifyTargets, targetWantsSections } from '../tools/build-yt-tldr.mjs';
+
+test('targets get a stable id and bad entries are skipped', t => {
+  t.mock.method(console, 'warn', () => {});
+  const targets = parseNotifyTargets(JSON.stringify([
+    { type: 'discord', url: 'https://discord.com/api/webhooks/1/abc', sections: ['Daily Close Updates'] },
+    { type: 'slack', url: 'https://hooks.slack.com/x', name: 'team' },
+    { type: 'pager', url: 'https://x.test' },
+    { type: 'json', url: 'ftp://x.test' }
+  ]));
+  assert.deepEqual(targets.map(x => x.type), ['discord', 'slack']);
+  assert.match(targets[0].id, /^discord:[0-9a-f]{16}$/);
+  assert.equal(targets[0].id, parseNotifyTargets(JSON.stringify({ type: 'discord', url: 'https://discord.com/api/webhooks/1/abc' }))[0].id);
+  assert.equal(targets[1].id, 'team');
+  assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('empty or invalid NOTIFY_WEBHOOKS turns notifications off', t => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(parseNotifyTargets(''), []);
+  assert.deepEqual(parseNotifyTargets('[{'), []);
+});
+
+test('section routing ignores case; no sections means every section', () => {
+  const [routed, all] = parseNotifyTargets(JSON.stringify([
+    { type: 'json', url: 'https://x.test/a', sections: ['Daily Close Updates'] },
+    { type: 'json', url: 'https://x.test/b' }
+  ]));
+  assert.equal(targetWantsSections(routed, ['daily close updates']), true);
+  assert.equal(targetWantsSections(routed, ['Education']), false);
+  assert.equal(targetWantsSections(all, []), true);
+});
@@ -0,0 +1,56 @@
+// test/retry-queue.test.mjs — retry state machine in tools/build-yt-tldr.mjs (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryDue, nextRetryAt, processedEntryAfterAttempt, selectRetryVideos } from '../tools/build-yt-tldr.mjs';
+
+const HOUR = 3600 * 1000;
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+test('isRetryDue: only failures whose nextRetryAt has passed', () => {
+  const at = iso => ({ status: 'no-transcript', nextRetryAt: iso });
+  assert.equal(isRetryDue(at(new Date(T0 - 1).toISOString()), T0), true);
+  assert.equal(isRetryDue(at(new Date(T0 + 1).toISOString()), T0), false);
+  assert.equal(isRetryDue(at(null), T0), false); // gave up
+  assert.equal(isRetryDue({ status: 'ok', nextRetryAt: new Date(0).toISOString() }, T0), false);
+  assert.equal(isRetryDue(undefined, T0), false);
+});
+
+test('nextRetryAt doubles from the base delay and gives up after the last attempt', () => {
+  assert.equal(Date.parse(nextRetryAt(1, T0)) - T0, 6 * HOUR);
+  assert.equal(Date.parse(nextRetryAt(2, T0)) - T0, 12 * HOUR);
+  assert.equal(Date.parse(nextRetryAt(7, T0)) - T0, 7 * 24 * HOUR); // capped
+  assert.equal(nextRetryAt(8, T0), null);
+});
+
+test('processedEntryAfterAttempt counts attempts and keeps fingerprints and notifications', () => {
+  const failed = { videoId: 'v1', title: 'T', publishedAt: '2026-01-01', long: { skipped: true } };
+  const first = processedEntryAfterAttempt(undefined, failed, 'Daily');
+  assert.equal(first.status, 'no-transcript');
+  assert.equal(first.attempts, 1);
+  assert.ok(first.nextRetryAt);
+
+  const prev = { ...first, fingerprint: { title: 'T' }, notifications: { d: { status: 'sent' } } };
+  const ok = processedEntryAfterAttempt(prev, { ...failed, long: {} }, 'Daily');
+  assert.equal(ok.status, 'ok');
+  assert.equal(ok.attempts, 2);
+  assert.equal(ok.nextRetryAt, null);
+  assert.deepEqual(ok.fingerprint, { title: 'T' });
+  assert.deepEqual(ok.notifications, { d: { status: 'sent' } });
+});
+
+test('selectRetryVideos reads the retry state, not just the fetched window', () => {
+  const due = new Date(T0 - HOUR).toISOString();
+  const processed = {
+    inWindow: { status: 'error', nextRetryAt: due, title: 'stored title', publishedAt: '2026-01-03' },
+    dropped: { status: 'no-transcript', nextRetryAt: due, title: 'Old one', publishedAt: '2025-06-01', section: 'Daily' },
+    later: { status: 'error', nextRetryAt: new Date(T0 + HOUR).toISOString(), publishedAt: '2026-01-02' },
+    fine: { status: 'ok', nextRetryAt: null, publishedAt: '2026-01-04' }
+  };
+  const fetched = { videoId: 'inWindow', title: 'fresh title', publishedAt: '2026-01-03', sectionTitles: new Set(['Daily']) };
+  const picked = selectRetryVideos({ byId: new Map([['inWindow', fetched]]), processed, now: T0 });
+  assert.deepEqual(picked.map(v => v.videoId), ['inWindow', 'dropped']);
+  assert.equal(picked[0], fetched);
+  assert.equal(picked[1].title, 'Old one');
+  assert.equal(picked[1].url, 'https://youtu.be/dropped');
+  assert.deepEqual([...picked[1].sectionTitles], ['Daily']);
+});
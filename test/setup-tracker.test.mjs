@@ -0,0 +1,62 @@
+// test/setup-tracker.test.mjs — evaluateSetup against hand-written candles (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateSetup, parseOhlcCsv } from '../tools/setup-tracker.mjs';
+
+const DAY = 864e5;
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+// [open, high, low, close] per day from T0
+const candles = rows => rows.map(([o, h, l, c], i) => ({ t: T0 + i * DAY, o, h, l, c }));
+
+test('long setup: trigger, then target', () => {
+  const r = evaluateSetup({ trigger: 'reclaim 100', invalidation: '90', targets: '110, 120' },
+    candles([[95, 98, 94, 97], [97, 101, 96, 100], [100, 111, 99, 110]]), T0);
+  assert.equal(r.side, 'long');
+  assert.equal(r.status, 'target-hit');
+  assert.deepEqual(r.targets, [110, 120]);
+  assert.equal(r.triggeredAt, new Date(T0 + DAY).toISOString());
+  assert.equal(r.resolvedAt, new Date(T0 + 2 * DAY).toISOString());
+});
+
+test('short setup: invalidation after entry', () => {
+  const r = evaluateSetup({ trigger: 'lose 50', invalidation: '55', targets: '40' },
+    candles([[52, 53, 49, 50], [50, 56, 49, 55]]), T0);
+  assert.equal(r.side, 'short');
+  assert.equal(r.status, 'invalidated');
+  assert.equal(r.resolvedAt, new Date(T0 + DAY).toISOString());
+});
+
+test('invalidation before the trigger is never entered', () => {
+  const r = evaluateSetup({ trigger: '100', invalidation: '90', targets: '110' }, candles([[95, 96, 89, 91]]), T0);
+  assert.equal(r.status, 'invalidated');
+  assert.equal(r.triggeredAt, null);
+  assert.match(r.reason, /before entry/);
+});
+
+test('stop and target in the same candle count as the stop', () => {
+  const r = evaluateSetup({ trigger: '100', invalidation: '95', targets: '105' }, candles([[100, 106, 94, 100]]), T0);
+  assert.equal(r.status, 'invalidated');
+});
+
+test('a gap across the trigger since the last close triggers it', () => {
+  const r = evaluateSetup({ trigger: '100', invalidation: '90', targets: '120' }, candles([[95, 97, 94, 96], [103, 105, 102, 104]]), T0);
+  assert.equal(r.status, 'triggered');
+  assert.equal(r.triggeredAt, new Date(T0 + DAY).toISOString());
+});
+
+test('timeframes are not prices and candles before the video are ignored', () => {
+  const r = evaluateSetup({ trigger: '4h close above 185', targets: '200' }, candles([[180, 201, 179, 200], [180, 184, 179, 182]]), T0 + DAY);
+  assert.equal(r.trigger, 185);
+  assert.equal(r.status, 'pending');
+});
+
+test('untracked without a trigger or a direction', () => {
+  assert.equal(evaluateSetup({ trigger: 'on a reclaim', targets: '110' }, [], T0).status, 'untracked');
+  assert.equal(evaluateSetup({ trigger: '100' }, [], T0).status, 'untracked');
+});
+
+test('parseOhlcCsv reads headers in any order and unix seconds', () => {
+  const k = parseOhlcCsv('timestamp,close,open,high,low\n1767312000,2,1,3,0.5\n1767225600,1,1,1,1\n');
+  assert.equal(k.length, 2);
+  assert.deepEqual(k[1], { t: 1767312000 * 1000, o: 1, h: 3, l: 0.5, c: 2 });
+});
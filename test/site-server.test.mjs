@@ -0,0 +1,121 @@
+// test/site-server.test.mjs — Stripe webhook + Discord funnel against the fake bot (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  loadConfig, createSiteServer, createFakeDiscordBot, signStripePayload, verifyStripeSignature, applyStripeEvent
+} from '../tools/site-server.mjs';
+
+const SECRET = 'whsec_test';
+
+// same contract as the JSON file store, kept in memory
+function memoryStore(data = {}) {
+  return { all: async () => structuredClone(data), update: async fn => (data = fn(data) ?? data) };
+}
+const subEvent = (type, created, object) => ({ id: `evt_${created}`, type, created, data: { object: { id: 'sub_1', customer: 'cus_1', ...object } } });
+
+test('verifyStripeSignature accepts a signed payload and rejects everything else', () => {
+  const payload = JSON.stringify({ id: 'evt_1' });
+  const now = Date.now();
+  assert.deepEqual(verifyStripeSignature(payload, signStripePayload(payload, SECRET), SECRET), { id: 'evt_1' });
+  // rotation: any v1 may match
+  const header = `${signStripePayload(payload, SECRET)},v1=${'0'.repeat(64)}`;
+  assert.deepEqual(verifyStripeSignature(payload, header, SECRET), { id: 'evt_1' });
+
+  const status = fn => { try { fn(); } catch (e) { return e.status; } };
+  assert.equal(status(() => verifyStripeSignature(payload, signStripePayload(payload, 'whsec_other'), SECRET)), 400);
+  assert.equal(status(() => verifyStripeSignature(`${payload} `, signStripePayload(payload, SECRET), SECRET)), 400);
+  assert.equal(status(() => verifyStripeSignature(payload, 'garbage', SECRET)), 400);
+  assert.equal(status(() => verifyStripeSignature(payload, signStripePayload(payload, SECRET, Math.floor(now / 1000) - 600), SECRET, 300, now)), 400);
+  assert.equal(status(() => verifyStripeSignature('not json', signStripePayload('not json', SECRET), SECRET)), 400);
+  assert.equal(status(() => verifyStripeSignature(payload, signStripePayload(payload, SECRET), '')), 503);
+});
+
+test('applyStripeEvent keeps the newest state and revokes the role on cancellation', async () => {
+  const store = memoryStore();
+  const bot = createFakeDiscordBot();
+  const config = { discordMemberRoleId: 'role_member' };
+  const ctx = { store, bot, config };
+
+  await applyStripeEvent(ctx, subEvent('customer.subscription.created', 10, { status: 'active' }));
+  await applyStripeEvent(ctx, { type: 'checkout.session.completed', data: { object: { id: 'cs_1', subscription: 'sub_1', customer_details: { email: 'a@b.co' } } } });
+  let sub = (await store.all()).sub_1;
+  assert.equal(sub.status, 'active');
+  assert.equal(sub.email, 'a@b.co');
+  assert.equal(sub.checkoutSessionId, 'cs_1');
+
+  // an older event delivered late changes nothing
+  assert.equal((await applyStripeEvent(ctx, subEvent('customer.subscription.updated', 5, { status: 'past_due' }))).handled, false);
+  assert.equal((await store.all()).sub_1.status, 'active');
+
+  await store.update(subs => { subs.sub_1.discordUserId = 'user_a'; });
+  await bot.addMember({ userId: 'user_a', roleIds: ['role_member'] });
+  await applyStripeEvent(ctx, subEvent('customer.subscription.deleted', 20, { status: 'canceled' }));
+  sub = (await store.all()).sub_1;
+  assert.equal(sub.status, 'canceled');
+  assert.equal(bot.members.get('user_a').has('role_member'), false);
+
+  // nothing re-activates a canceled subscription
+  assert.equal((await applyStripeEvent(ctx, subEvent('customer.subscription.updated', 30, { status: 'active' }))).handled, false);
+  assert.equal((await applyStripeEvent(ctx, { type: 'invoice.paid', data: { object: {} } })).handled, false);
+});
+
+test('Discord funnel: invite, link after checkout, re-link, cancel', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-server-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const config = loadConfig({
+    DISCORD_BOT: 'fake', STRIPE_WEBHOOK_SECRET: SECRET, SITE_SECRET: 'site_secret', SITE_DIR: dir,
+    SUBSCRIBERS_FILE: path.join(dir, 'subscribers.json'), LEADS_FILE: path.join(dir, 'leads.json')
+  });
+  const { server, bot } = createSiteServer(config);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const role = config.discordMemberRoleId;
+
+  const post = (p, body, headers = {}) => fetch(base + p, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body });
+  const webhook = event => {
+    const payload = JSON.stringify(event);
+    return post('/stripe/webhook', payload, { 'Stripe-Signature': signStripePayload(payload, SECRET) });
+  };
+  const link = async (sessionId, code) => {
+    const connect = await fetch(`${base}/discord/connect?session_id=${sessionId}`, { redirect: 'manual' });
+    assert.equal(connect.status, 302);
+    const state = new URL(connect.headers.get('location')).searchParams.get('state');
+    return fetch(`${base}/discord/callback?${new URLSearchParams({ code, state })}`, { redirect: 'manual' });
+  };
+
+  // email capture → single-use invite
+  const join = await post('/discord/join', JSON.stringify({ email: 'Fan@Example.com', consent: true }));
+  assert.equal(join.status, 200);
+  assert.match((await join.json()).invite, /^https:\/\/discord\.gg\//);
+  assert.equal(bot.invites[0].maxUses, 1);
+  assert.equal((await post('/discord/join', JSON.stringify({ email: 'fan@example.com' }))).status, 400);
+
+  // no subscription behind the checkout session yet
+  assert.equal((await fetch(`${base}/discord/connect?session_id=cs_1`, { redirect: 'manual' })).status, 404);
+
+  assert.equal((await webhook(subEvent('customer.subscription.created', 10, { status: 'active' }))).status, 200);
+  assert.equal((await webhook({ id: 'evt_11', type: 'checkout.session.completed', created: 11, data: { object: { id: 'cs_1', subscription: 'sub_1' } } })).status, 200);
+
+  assert.equal((await link('cs_1', 'alice')).status, 302);
+  assert.equal(bot.members.get('user_alice').has(role), true);
+  assert.equal((await fetch(`${base}/discord/callback?code=alice&state=sub_1.9999999999999.forged`, { redirect: 'manual' })).status, 400);
+
+  // moving the subscription to another account takes the role off the first one
+  assert.equal((await link('cs_1', 'bob')).status, 302);
+  assert.equal(bot.members.get('user_alice').has(role), false);
+  assert.equal(bot.members.get('user_bob').has(role), true);
+
+  assert.equal((await webhook(subEvent('customer.subscription.deleted', 20, { status: 'canceled' }))).status, 200);
+  assert.equal(bot.members.get('user_bob').has(role), false);
+  assert.equal((await fetch(`${base}/discord/connect?session_id=cs_1`, { redirect: 'manual' })).status, 403);
+});
+
+test('createSiteServer refuses to sign with a throwaway key outside the fake mode', () => {
+  assert.throws(() => createSiteServer(loadConfig({ DISCORD_BOT: 'rest' })), /SITE_SECRET/);
+  assert.throws(() => createSiteServer(loadConfig({})), /SITE_SECRET/);
+  assert.doesNotThrow(() => createSiteServer(loadConfig({ SITE_SECRET: 's' })));
+});
@@ -0,0 +1,63 @@
+// test/summary-schema.test.mjs — model JSON contract + repair helpers in tools/build-yt-tldr.mjs (npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSummaryJSON, sanitizeSummaryJSON, parseModelJSON } from '../tools/build-yt-tldr.mjs';
+
+const valid = () => ({
+  tldr: ['BTC holds 110k support', 'SOL needs a 4h close above 185'],
+  long: {
+    context: 'Daily update after the weekly close.',
+    key_levels: [{ asset: 'BTC', level: '110k', direction: 'support', notes: 'weekly open' }],
+    setups: [{ name: 'SOL reclaim', trigger: '185', invalidation: '172', targets: '200' }],
+    takeaways: ['Patience until the close'],
+    catalysts: [],
+    notable_details: []
+  }
+});
+
+test('a summary that meets the contract has no errors', () => {
+  assert.deepEqual(validateSummaryJSON(valid()), []);
+});
+
+test('each violation is reported with its path', () => {
+  const data = valid();
+  data.tldr = ['x', 'y', 'z', 'w'];
+  data.long.context = 'c'.repeat(1201);
+  data.long.key_levels[0].direction = 'up';
+  data.long.setups[0] = { trigger: '185' };
+  data.long.takeaways = 'not a list';
+  const errs = validateSummaryJSON(data);
+  for (const at of ['tldr:', 'long.context:', 'long.key_levels[0].direction:', 'long.setups[0].name:', 'long.takeaways:']) {
+    assert.ok(errs.some(e => e.startsWith(at)), `expected an error at ${at} in ${JSON.stringify(errs)}`);
+  }
+  assert.deepEqual(validateSummaryJSON([]), ['$: must be a JSON object']);
+  assert.ok(validateSummaryJSON({ tldr: ['a'], long: null }).includes('long: must be an object'));
+});
+
+test('the TL;DR word budget is enforced across bullets', () => {
+  const data = valid();
+  data.tldr = [Array(31).fill('word').join(' '), Array(30).fill('word').join(' ')];
+  assert.ok(validateSummaryJSON(data).some(e => /at most 60 words total \(61\)/.test(e)));
+});
+
+test('sanitizeSummaryJSON keeps only what meets the contract', () => {
+  const data = valid();
+  data.tldr = ['a', 7, '', 'b', 'c', 'd'];
+  data.long.key_levels.push({ asset: 'SOL', level: '185', direction: 'sideways' });
+  data.long.setups.push({ trigger: 'no name' });
+  data.long.catalysts = 'FOMC';
+  const out = sanitizeSummaryJSON(data);
+  assert.deepEqual(out.tldr, ['a', 'b', 'c']);
+  assert.equal(out.long.key_levels.length, 1);
+  assert.equal(out.long.setups.length, 1);
+  assert.deepEqual(out.long.catalysts, []);
+  assert.deepEqual(validateSummaryJSON(out), []);
+  assert.equal(sanitizeSummaryJSON(null).long.context, '');
+});
+
+test('parseModelJSON takes the outermost object out of fences and preambles', () => {
+  assert.deepEqual(parseModelJSON('{"a":1}'), { a: 1 });
+  assert.deepEqual(parseModelJSON('Sure! Here it is:\n```json\n{"a":{"b":2}}\n```'), { a: { b: 2 } });
+  assert.deepEqual(parseModelJSON('no json here'), {});
+  assert.deepEqual(parseModelJSON('{"a":'), {});
+});
@@ -1,17 +1,75 @@
 // tools/build-yt-tldr.mjs
 // Full file — captions via official YouTube API (OAuth) first,
 // then public scrape, then offline STT (whisper.cpp).
-// Summarization supports $0 rule-based (FREE_MODE=1) or OpenAI (set OPENAI_API_KEY).
+// Summarization supports $0 rule-based (FREE_MODE=1), OpenAI (set OPENAI_API_KEY),
+// any OpenAI-compatible server (SUMMARIZER=openai-compatible + LLM_BASE_URL) or a mock (SUMMARIZER=mock).
 // Now with: processed cache + per-run cap + playlist tabs content page.
+// Offline rebuild: `node tools/build-yt-tldr.mjs --rebuild` re-renders every page
+// from .processed.json + summaries/*.json without touching YouTube or OpenAI.
+// Assets (tickers, ASR spellings, price ids, plausible ranges) live in tools/assets.json;
+// `node tools/build-yt-tldr.mjs --check-asr` replays tools/asr-corpus.json against the ASR rules.
+// Targeted runs: `--video <id>`, `--since/--until YYYY-MM-DD`, `--section "<title>"` re-summarize just those;
+// add `--dry-run` to print the plan + a diff instead of writing (the plan lists what would be summarized;
+// no transcripts are fetched and no summarizer is called).
+// Summary pages live at summaries/<videoId>.html; old slugs become redirect stubs, and pages
+// nothing links to are listed at the end of a run (`--gc` deletes them).
+// Edited titles/descriptions re-render a summary and changed caption tracks re-summarize it
+// (fingerprints in .processed.json); every refresh is logged to changelog.json.
+// New summaries are announced to the NOTIFY_WEBHOOKS targets (Discord / Slack / JSON), once per video.
+// Indicator docs are written in tools/docs/*.md and rendered to docs/<slug>.html, each listing
+// the summarized videos that mention its concepts.
+// MEMBERS_ONLY=1 seals the long-form into members/ with MEMBERS_KEY (served to subscribers by
+// tools/site-server.mjs); the public page shows the TL;DR and a locked teaser.
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import os from 'node:os';
+import crypto from 'node:crypto';
 import { execFile } from 'node:child_process';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { sealMembersContent, openMembersContent } from './members-box.mjs';
+import { parseNumericTokens, levelKeys } from './numeric-tokens.mjs';
+import { parseOhlcCsv, evaluateSetup } from './setup-tracker.mjs';
 import { OpenAI } from 'openai';
 import { YoutubeTranscript } from 'youtube-transcript';
 import { google } from 'googleapis';
 
+/* ============================================================
+   CLI
+   ============================================================ */
+// Imported (test/*.test.mjs) rather than run: no argv, no env checks, no run; helpers are exported at the end
+const IS_MAIN = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+const { values: ARGS } = parseArgs({
+  args: IS_MAIN ? process.argv.slice(2) : [],
+  options: {
+    rebuild: { type: 'boolean', default: false },     // offline: re-render from stored data only
+    'check-asr': { type: 'boolean', default: false }, // replay the ASR correction corpus and exit
+    video: { type: 'string', multiple: true },        // --video <id>[,<id>…] (repeatable): re-summarize these now
+    since: { type: 'string' },                        // --since/--until YYYY-MM-DD: re-summarize videos published in range
+    until: { type: 'string' },
+    section: { type: 'string', multiple: true },      // --section <title> (repeatable): re-summarize a whole section
+    'dry-run': { type: 'boolean', default: false },   // write nothing; print the plan + a diff of what would change
+    gc: { type: 'boolean', default: false }           // delete orphaned summary pages (default: only report them)
+  }
+});
+const REBUILD = ARGS.rebuild || process.env.REBUILD === '1';
+const CHECK_ASR = ARGS['check-asr'];
+const DRY_RUN = ARGS['dry-run'] || process.env.DRY_RUN === '1';
+const GC_SUMMARIES = ARGS.gc || process.env.GC_SUMMARIES === '1';
+const FORCE = {
+  videoIds: (ARGS.video || []).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean),
+  since: ARGS.since ? Date.parse(ARGS.since) : null,
+  until: ARGS.until ? Date.parse(ARGS.until) + 864e5 - 1 : null, // inclusive: end of that day
+  sections: ARGS.section || []
+};
+for (const [flag, at] of [['--since', FORCE.since], ['--until', FORCE.until]]) {
+  if (Number.isNaN(at)) {
+    console.error(`Invalid ${flag} date (expected YYYY-MM-DD)`);
+    process.exit(1);
+  }
+}
+
 /* ============================================================
    CONFIG / ENV
    ============================================================ */
@@ -27,6 +85,30 @@ const MAX_PER_PLAYLIST     = Number(process.env.MAX_PER_PLAYLIST || 5); // cap p
 const MAX_SUMMARIES_PER_RUN= Number(process.env.MAX_SUMMARIES_PER_RUN || 5); // NEW: cap new summaries per run
 const INCLUDE_SHORTS       = process.env.INCLUDE_SHORTS === '1';
 const SHORTS_MAX           = Number(process.env.SHORTS_MAX || 5);
+const SUMMARIES_PAGE_SIZE  = Math.max(1, Number(process.env.SUMMARIES_PAGE_SIZE || 24)); // cards per page on summaries.html
+const FEED_MAX_ITEMS       = Number(process.env.FEED_MAX_ITEMS || 50);  // entries per Atom/JSON feed
+
+// Members-only gating: summary pages become public teasers (TL;DR + locked long form); the full
+// content is sealed with MEMBERS_KEY into members/ (tools/members-box.mjs) and served by tools/site-server.mjs
+const MEMBERS_ONLY         = process.env.MEMBERS_ONLY === '1';
+const MEMBERS_KEY          = process.env.MEMBERS_KEY || '';
+
+// Announcements of new summaries: JSON list of { type: discord|slack|json, url, sections?, name? }
+const NOTIFY_WEBHOOKS      = process.env.NOTIFY_WEBHOOKS || '';
+const NOTIFY_MAX_ATTEMPTS  = Number(process.env.NOTIFY_MAX_ATTEMPTS || 3);    // tries per delivery within a run
+const NOTIFY_RETRY_BASE_MS = Number(process.env.NOTIFY_RETRY_BASE_MS || 2000); // backoff between tries, doubles
+const NOTIFY_MAX_RUNS      = Number(process.env.NOTIFY_MAX_RUNS || 3);        // runs a failed delivery is retried on
+
+// Indicator docs: related videos listed per page (matched by the doc's keywords)
+const DOCS_RELATED_MAX     = Number(process.env.DOCS_RELATED_MAX || 12);
+
+// Retry queue for videos whose transcript/summary failed (exponential backoff)
+const MAX_RETRY_ATTEMPTS   = Number(process.env.MAX_RETRY_ATTEMPTS || 8);   // give up after this many attempts
+const RETRY_BASE_HOURS     = Number(process.env.RETRY_BASE_HOURS || 6);     // first retry delay, doubles each attempt
+const RETRY_MAX_HOURS      = Number(process.env.RETRY_MAX_HOURS || 24 * 7); // backoff ceiling
+
+// Content fingerprints: edited titles/descriptions re-render a page, changed caption tracks re-summarize it
+const CAPTION_CHECKS_PER_RUN = Number(process.env.CAPTION_CHECKS_PER_RUN || 10); // captions.list costs 50 quota units (OAuth only)
 
 // OAuth env for official captions
 const GOOGLE_CLIENT_ID     = process.env.GOOGLE_CLIENT_ID || '';
@@ -38,60 +120,137 @@ const BIN_YTDLP            = process.env.YTDLP_BIN   || 'yt-dlp';
 const BIN_WHISPER          = process.env.WHISPER_BIN || 'whisper-cpp'; // some builds name the binary 'main'
 const WHISPER_MODEL_PATH   = process.env.WHISPER_MODEL || 'models/ggml-base.en.bin'; // e.g., 'models/ggml-small.en.bin'
 
+// Transcript providers (tried in order) + on-disk cache
+const TRANSCRIPT_PROVIDERS = process.env.TRANSCRIPT_PROVIDERS || 'local,api,lib,watch,whisper';
+const REFRESH_TRANSCRIPTS  = process.env.REFRESH_TRANSCRIPTS === '1'; // ignore cached transcripts and refetch
+
 // Summarization model if using OpenAI
 const OPENAI_MODEL         = process.env.OPENAI_MODEL || 'gpt-4o-mini';
 
-// Optional live price plausibility check
-const ALLOW_PRICE_LOOKUPS  = process.env.ALLOW_PRICE_LOOKUPS === '1';
+// Summarizer backend: free | openai | openai-compatible | mock (default keeps the FREE_MODE behaviour)
+const SUMMARIZER           = (process.env.SUMMARIZER || (FREE_MODE ? 'free' : 'openai')).toLowerCase();
+const SUMMARIZERS          = ['free', 'openai', 'openai-compatible', 'mock'];
+// OpenAI-compatible server (llama.cpp / Ollama / vLLM …), e.g. LLM_BASE_URL=http://127.0.0.1:11434/v1
+const LLM_BASE_URL         = process.env.LLM_BASE_URL || '';
+const LLM_API_KEY          = process.env.LLM_API_KEY || '';
+const LLM_MODEL            = process.env.LLM_MODEL || 'llama3.1';
+const LLM_JSON_MODE        = process.env.LLM_JSON_MODE !== '0'; // set 0 if the server rejects response_format
+const MAX_REPAIR_ATTEMPTS  = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 2); // re-asks when model JSON fails the schema
+// Long transcripts are summarized in overlapping chunks, then merged
+const SUMMARY_CHUNK_CHARS  = Number(process.env.SUMMARY_CHUNK_CHARS || 6000);
+const SUMMARY_CHUNK_OVERLAP= Number(process.env.SUMMARY_CHUNK_OVERLAP || 500);
+const SUMMARY_MAX_CHUNKS   = Number(process.env.SUMMARY_MAX_CHUNKS || 8);  // cost bound: chunks grow past this
+
+// Price plausibility: levels are checked against the asset's price on the video's publish date
+const ALLOW_PRICE_LOOKUPS  = process.env.ALLOW_PRICE_LOOKUPS === '1'; // adds the network source (CoinGecko) to the default chain
+const PRICE_SOURCES        = process.env.PRICE_SOURCES || (ALLOW_PRICE_LOOKUPS ? 'local,coingecko' : 'local'); // tried in order
+const PRICE_PLAUSIBLE_FACTOR = Number(process.env.PRICE_PLAUSIBLE_FACTOR || 100); // level must be within price ÷/× this
 
 // Output paths
 const ROOT                 = process.cwd();
 const OUT_LATEST           = path.join(ROOT, 'latest.json');
 const OUT_INDEX            = path.join(ROOT, 'yt-index.json');    // now grouped by playlist sections when using API
 const SUMMARIES_DIR        = path.join(ROOT, 'summaries');
+const MEMBERS_SUMMARIES_DIR= path.join(ROOT, 'members', 'summaries'); // sealed full records + long-form fragments (MEMBERS_ONLY)
 const OUT_LASTID           = path.join(ROOT, '.last-video-id');
 const OUT_CONTENT_PAGE     = path.join(ROOT, 'summaries.html');   // grouped content page with tabs
 const PROCESSED_FILE       = path.join(ROOT, '.processed.json');   // NEW: processed cache (videoId map)
-
-if (!SITE_URL) {
-  console.error('Missing env: SITE_URL');
-  process.exit(1);
-}
-if (!FREE_MODE && !OPENAI_API_KEY) {
-  console.error('Missing env: OPENAI_API_KEY (or set FREE_MODE=1 for zero-cost summaries)');
-  process.exit(1);
+const OUT_SEARCH_INDEX     = path.join(ROOT, 'search-index.json'); // client-side search for summaries.html
+const SHARDS_DIR           = path.join(ROOT, 'index');             // paginated section shards for summaries.html
+const OUT_SITEMAP          = path.join(ROOT, 'sitemap.xml');
+const OUT_ROBOTS           = path.join(ROOT, 'robots.txt');
+const FEEDS_DIR            = path.join(ROOT, 'feeds');             // per-section Atom + JSON feeds (all-videos feed lives at the root)
+const OUT_LEVELS           = path.join(ROOT, 'levels.json');       // key levels aggregated across videos
+const LEVELS_DIR           = path.join(ROOT, 'levels');            // per-asset level history pages
+const TRANSCRIPTS_DIR      = path.join(ROOT, 'transcripts');       // cached transcripts, one JSON per videoId
+const TRANSCRIPT_LOCAL_DIR = path.resolve(ROOT, process.env.TRANSCRIPT_LOCAL_DIR || 'transcripts/local'); // hand-supplied .srt/.vtt/.txt
+const OHLC_DIR             = path.resolve(ROOT, process.env.OHLC_DIR || 'ohlc'); // <ASSET>.csv candles for the setup tracker
+const OUT_SETUPS           = path.join(ROOT, 'setups.json');       // setup outcomes + hit rates
+const OUT_SETUPS_PAGE      = path.join(ROOT, 'setups.html');
+const OUT_REDIRECTS        = path.join(ROOT, 'redirects.json');    // old summary permalinks -> stable summaries/<videoId>.html
+const OUT_CHANGELOG        = path.join(ROOT, 'changelog.json');    // videos refreshed after edits on YouTube
+const OUT_DOCS             = path.join(ROOT, 'docs.json');         // docs list + related videos (homepage #docs reads it)
+const DOCS_DIR             = path.join(ROOT, 'docs');              // one page per indicator + the docs hub
+const DOCS_SOURCE_DIR      = path.resolve(ROOT, process.env.DOCS_SOURCE_DIR || 'tools/docs'); // <slug>.md sources
+const PRICE_CACHE_FILE     = path.join(ROOT, '.price-cache.json');  // { "ASSET|YYYY-MM-DD": { price, source, date } } from network sources
+const ASSETS_FILE          = path.resolve(ROOT, process.env.ASSETS_FILE || 'tools/assets.json'); // asset registry
+const ASR_CORPUS_FILE      = path.resolve(ROOT, process.env.ASR_CORPUS_FILE || 'tools/asr-corpus.json');
+
+if (IS_MAIN) {
+  if (!SITE_URL && !CHECK_ASR) {
+    console.error('Missing env: SITE_URL');
+    process.exit(1);
+  }
+  if (MEMBERS_ONLY && !CHECK_ASR && !MEMBERS_KEY) {
+    console.error('Missing env: MEMBERS_KEY (MEMBERS_ONLY=1 seals the members-only content with it)');
+    process.exit(1);
+  }
+  if (!REBUILD && !CHECK_ASR && !SUMMARIZERS.includes(SUMMARIZER)) {
+    console.error(`Unknown SUMMARIZER "${SUMMARIZER}" (expected one of: ${SUMMARIZERS.join(', ')})`);
+    process.exit(1);
+  }
+  if (!REBUILD && !CHECK_ASR && SUMMARIZER === 'openai' && !OPENAI_API_KEY) {
+    console.error('Missing env: OPENAI_API_KEY (or set FREE_MODE=1 / SUMMARIZER=free for zero-cost summaries)');
+    process.exit(1);
+  }
+  if (!REBUILD && !CHECK_ASR && SUMMARIZER === 'openai-compatible' && !LLM_BASE_URL) {
+    console.error('Missing env: LLM_BASE_URL (required for SUMMARIZER=openai-compatible)');
+    process.exit(1);
+  }
 }
 
-const ai = !FREE_MODE && OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
-
 /* ============================================================
-   DOMAIN GUARDS — TICKERS / TYPO NORMALIZATION
+   DOMAIN GUARDS — ASSET REGISTRY (tools/assets.json) / TYPO NORMALIZATION
    ============================================================ */
-const TICKER_WHITELIST = new Set([
-  'BTC','ETH','SOL','XRP','ADA','DOGE','AVAX','LINK','SUI','SEI','APT','ARB','OP','BONK','WIF',
-  'SPY','QQQ','DXY','VIX','USD'
+function loadAssetRegistry(raw) {
+  const errors = [];
+  const assets = Array.isArray(raw?.assets) ? raw.assets : [];
+  if (!raw) errors.push('missing or not valid JSON (set ASSETS_FILE to point elsewhere)');
+  else if (!assets.length) errors.push('no assets');
+  for (const a of assets) {
+    if (!/^[A-Z]{2,5}$/.test(a?.ticker || '')) errors.push(`bad ticker "${a?.ticker}" (2–5 uppercase letters)`);
+    if (a?.range != null && !(Array.isArray(a.range) && a.range.length === 2 && a.range[0] < a.range[1])) errors.push(`${a.ticker}: range must be [min, max]`);
+  }
+  if (errors.length) {
+    console.error(`Invalid asset registry ${ASSETS_FILE}:\n- ${errors.join('\n- ')}`);
+    process.exit(1);
+  }
+  return {
+    levelWords: new Set((raw.levelWords || []).map(w => w.toLowerCase())),
+    assets: new Map(assets.map(a => [a.ticker, {
+      ticker: a.ticker,
+      priceId: a.priceId || null,
+      range: a.range || null,
+      aliases: a.aliases || [],
+      contextAliases: (a.contextAliases || []).map(c => (typeof c === 'string' ? { alias: c } : c))
+    }]))
+  };
+}
+// read directly (not readJSONSafe): this runs at load time, before the output layer exists
+const ASSETS = loadAssetRegistry(await fs.readFile(ASSETS_FILE, 'utf8').then(JSON.parse).catch(() => null));
+const TICKER_WHITELIST = new Set(ASSETS.assets.keys());
+
+// "s o l" matches sol / s o l / s-o-l
+const aliasPattern = alias => alias.trim().split(/[\s-]+/).map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s-]*');
+// ASR confusions → canonical tickers; `context` rules only fire next to price/level language
+const ASR_FIX_MAP = [...ASSETS.assets.values()].flatMap(a => [
+  ...a.aliases.map(alias => ({ re: new RegExp(`\\b${aliasPattern(alias)}\\b`, 'gi'), rep: a.ticker })),
+  ...a.contextAliases.map(c => ({
+    re: new RegExp(`\\b${aliasPattern(c.alias)}\\b`, 'gi'),
+    rep: a.ticker,
+    context: { notAfter: new Set((c.notAfter || []).map(w => w.toLowerCase())), notBefore: new Set((c.notBefore || []).map(w => w.toLowerCase())) }
+  }))
 ]);
-
-// Common ASR confusions → canonical tickers (lowercased compare)
-const ASR_FIX_MAP = [
-  { re: /\bs\s*o\s*l\b/gi, rep: 'SOL' },          // S O L → SOL
-  { re: /\bs-?o-?l\b/gi, rep: 'SOL' },            // S-O-L → SOL
-  { re: /\bsoul\b/gi, rep: 'SOL' },               // soul → SOL
-  { re: /\bsole\b/gi, rep: 'SOL' },               // sole → SOL
-  { re: /\bsold\b/gi, rep: 'SOL' },               // sold → SOL
-  { re: /\beeth\b/gi, rep: 'ETH' },               // eeth → ETH
-  { re: /\bethh\b/gi, rep: 'ETH' },
-  { re: /\bbtc\b/gi, rep: 'BTC' },                // force casing
-  { re: /\beth\b/gi, rep: 'ETH' },
-  { re: /\bxrp\b/gi, rep: 'XRP' },
-  { re: /\bavax\b/gi, rep: 'AVAX' },
-  { re: /\blink\b/gi, rep: 'LINK' },
-  { re: /\busd\b/gi, rep: 'USD' },
-  { re: /\bdxy\b/gi, rep: 'DXY' },
-  { re: /\bvix\b/gi, rep: 'VIX' },
-  { re: /\bq ?q ?q\b/gi, rep: 'QQQ' },
-  { re: /\bs ?p ?y\b/gi, rep: 'SPY' }
-];
+const ASR_CONTEXT_WORDS = 6; // how far (in words) price/level language may sit from a context alias
+
+function inPriceContext(s, start, end, { notAfter, notBefore }) {
+  const before = s.slice(0, start).toLowerCase().match(/[a-z0-9$.%]+/g) || [];
+  const after = s.slice(end).toLowerCase().match(/[a-z0-9$.%]+/g) || [];
+  // "I sold", "sold off", "the link below": plain English usage
+  if (notAfter.has(before[before.length - 1]) || notBefore.has(after[0])) return false;
+  const near = [...before.slice(-ASR_CONTEXT_WORDS), ...after.slice(0, ASR_CONTEXT_WORDS)];
+  return near.some(w => /\d/.test(w) || ASSETS.levelWords.has(w.replace(/\.+$/, '')));
+}
 
 function normalizeTextBasic(s='') {
   return String(s)
@@ -107,7 +266,9 @@ function collapseSpacedCaps(s='') {
 }
 function fixASRTickers(s='') {
   let out = s;
-  for (const { re, rep } of ASR_FIX_MAP) out = out.replace(re, rep);
+  for (const { re, rep, context } of ASR_FIX_MAP) {
+    out = out.replace(re, (m, offset, whole) => (!context || inPriceContext(whole, offset, offset + m.length, context) ? rep : m));
+  }
   return out;
 }
 function protectTickersWhitelist(s='') {
@@ -124,16 +285,53 @@ function normalizeForFinance(s='') {
 /* ============================================================
    UTILS
    ============================================================ */
+// Output layer: every generated file goes through here so --dry-run can stage writes
+// in memory (later reads see them) and report them as a diff instead of touching disk.
+const stagedOutputs = new Map(); // absolute path -> content (dry-run only)
+const stagedRemovedDirs = new Set();
+const stagedRemovedFiles = new Set();
+async function writeOutput(file, content) {
+  if (!DRY_RUN) return fs.writeFile(file, content, 'utf8');
+  stagedOutputs.set(path.resolve(file), content);
+  stagedRemovedFiles.delete(path.resolve(file));
+}
+async function removeOutput(file) {
+  if (!DRY_RUN) return fs.rm(file, { force: true });
+  stagedOutputs.delete(path.resolve(file));
+  stagedRemovedFiles.add(path.resolve(file));
+}
+async function makeOutputDir(dir) {
+  if (!DRY_RUN) await fs.mkdir(dir, { recursive: true });
+}
+async function removeOutputDir(dir) {
+  if (!DRY_RUN) return fs.rm(dir, { recursive: true, force: true });
+  const abs = path.resolve(dir);
+  stagedRemovedDirs.add(abs);
+  for (const f of stagedOutputs.keys()) if (f.startsWith(abs + path.sep)) stagedOutputs.delete(f);
+}
+async function readOutput(file) {
+  const abs = path.resolve(file);
+  if (stagedOutputs.has(abs)) return stagedOutputs.get(abs);
+  if (stagedRemovedFiles.has(abs)) throw Object.assign(new Error(`ENOENT: ${file} (removed in dry run)`), { code: 'ENOENT' });
+  return fs.readFile(file, 'utf8');
+}
+async function listOutputDir(dir) {
+  const abs = path.resolve(dir);
+  const names = new Set(await fs.readdir(dir).catch(() => []));
+  for (const f of stagedOutputs.keys()) if (path.dirname(f) === abs) names.add(path.basename(f));
+  for (const f of stagedRemovedFiles) if (path.dirname(f) === abs) names.delete(path.basename(f));
+  return Array.from(names);
+}
 async function readJSONSafe(file, fallback = null) {
   try {
-    const txt = await fs.readFile(file, 'utf8');
+    const txt = await readOutput(file);
     return JSON.parse(txt);
   } catch {
     return fallback;
   }
 }
 async function writeJSON(file, obj) {
-  await fs.writeFile(file, JSON.stringify(obj, null, 2), 'utf8');
+  await writeOutput(file, JSON.stringify(obj, null, 2));
 }
 function toPTDate(iso, tz = SITE_TZ) {
   const d = new Date(iso);
@@ -145,6 +343,7 @@ function slugify(s) {
 function esc(s = '') {
   return String(s).replace(/[&<>"]/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[m]));
 }
+const clip = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
 function run(cmd, args, opts = {}) {
   return new Promise((resolve, reject) => {
     execFile(cmd, args, { windowsHide: true, ...opts }, (err, stdout, stderr) => {
@@ -156,7 +355,8 @@ function run(cmd, args, opts = {}) {
 
 /* ============================================================
    TRANSCRIPT HELPERS
-   Order: Official API (OAuth) → library → watch-page → local STT
+   Default order: local file → Official API (OAuth) → library → watch-page → local STT
+   (override with TRANSCRIPT_PROVIDERS; hits are cached in transcripts/)
    ============================================================ */
 async function getYouTubeAuthFromEnv() {
   if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REFRESH_TOKEN) return null;
@@ -164,26 +364,82 @@ async function getYouTubeAuthFromEnv() {
   oauth2.setCredentials({ refresh_token: GOOGLE_REFRESH_TOKEN });
   return oauth2;
 }
-function srtToText(srt) {
-  return srt
+
+// Timed transcript model: segments = [{ start, end, text }] in seconds.
+// Providers return { text, segments } (segments may be [] for untimed sources such as .txt).
+function parseClock(s='') {
+  // "01:02:03,500" | "02:03.500" | "3.5s" | "3500ms"
+  const t = String(s).trim();
+  if (/ms$/.test(t)) return Number(t.slice(0, -2)) / 1000;
+  if (/s$/.test(t)) return Number(t.slice(0, -1));
+  const parts = t.replace(',', '.').split(':').map(Number);
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+function fmtClock(sec) {
+  const n = Math.max(0, Math.floor(Number(sec) || 0));
+  const h = Math.floor(n / 3600), m = Math.floor((n % 3600) / 60), ss = String(n % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+function cleanCueText(s='') {
+  return String(s).replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+function segmentsToText(segments=[]) {
+  return segments.map(s => s.text).join(' ').replace(/\s+/g, ' ').trim();
+}
+function timedTranscript(segments) {
+  const segs = segments.filter(s => s.text);
+  return { text: segmentsToText(segs), segments: segs };
+}
+// SRT and WebVTT share the "start --> end" cue layout; cue ids / headers are dropped.
+function cuesToSegments(raw) {
+  return String(raw)
     .replace(/\r/g, '')
-    .split('\n')
-    .filter(line =>
-      !/^\d+$/.test(line) &&
-      !/^\d{2}:\d{2}:\d{2},\d{3}\s+-->\s+\d{2}:\d{2}:\d{2},\d{3}$/.test(line)
-    )
-    .join(' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+    .split(/\n{2,}/)
+    .map(block => {
+      const lines = block.split('\n');
+      const timing = lines.findIndex(line => line.includes('-->'));
+      if (timing < 0) return null;
+      const [a, b] = lines[timing].split('-->').map(x => x.trim().split(/\s+/)[0]);
+      return { start: parseClock(a), end: parseClock(b), text: cleanCueText(lines.slice(timing + 1).join(' ')) };
+    })
+    .filter(Boolean);
+}
+function srtToSegments(srt) { return cuesToSegments(srt); }
+function vttToSegments(vtt) { return cuesToSegments(vtt); }
+function json3ToSegments(data) {
+  return (data?.events || [])
+    .filter(ev => Array.isArray(ev.segs))
+    .map(ev => ({
+      start: (ev.tStartMs || 0) / 1000,
+      end: ((ev.tStartMs || 0) + (ev.dDurationMs || 0)) / 1000,
+      text: cleanCueText(ev.segs.map(x => x.utf8 || '').join(''))
+    }));
+}
+function ttmlToSegments(xml) {
+  // TTML: <p begin="00:00:01.000" end="…">  ·  srv3: <p t="1000" d="2000">
+  const out = [];
+  for (const m of String(xml).matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)) {
+    const attr = name => (m[1].match(new RegExp(`\\b${name}="([^"]*)"`)) || [, ''])[1];
+    let start, end;
+    if (attr('t')) {
+      start = Number(attr('t')) / 1000;
+      end = start + Number(attr('d') || 0) / 1000;
+    } else {
+      start = parseClock(attr('begin'));
+      end = attr('end') ? parseClock(attr('end')) : start + parseClock(attr('dur') || '0');
+    }
+    out.push({ start, end, text: cleanCueText(m[2].replace(/<br\s*\/?>/g, ' ')) });
+  }
+  return out;
 }
 async function fetchTranscriptViaYouTubeAPI(videoId) {
   try {
     const auth = await getYouTubeAuthFromEnv();
-    if (!auth) return '';
+    if (!auth) return null;
     const youtube = google.youtube({ version: 'v3', auth });
     const list = await youtube.captions.list({ part: ['snippet'], videoId });
     const items = list.data.items || [];
-    if (!items.length) return '';
+    if (!items.length) return null;
 
     const isEn  = c => (c.snippet?.language || '').toLowerCase().startsWith('en');
     const isASR = c => (c.snippet?.trackKind || '').toUpperCase() === 'ASR';
@@ -193,18 +449,18 @@ async function fetchTranscriptViaYouTubeAPI(videoId) {
       items.find(isASR) ||
       items[0];
 
-    if (!pick) return '';
+    if (!pick) return null;
     const res = await youtube.captions.download(
       { id: pick.id, tfmt: 'srt' },
       { responseType: 'arraybuffer' }
     );
-    const srt  = Buffer.from(res.data).toString('utf8');
-    const text = srtToText(srt);
-    if (text) console.log('✅ transcript via YouTube API for', videoId, `(${pick.snippet?.trackKind || 'caption'})`);
-    return text.slice(0, 8000);
+    const srt = Buffer.from(res.data).toString('utf8');
+    const out = timedTranscript(srtToSegments(srt));
+    if (out.text) console.log('✅ transcript via YouTube API for', videoId, `(${pick.snippet?.trackKind || 'caption'})`);
+    return out.text ? out : null;
   } catch (e) {
     console.warn('YouTube API captions fetch failed:', e?.response?.data || e.message || e);
-    return '';
+    return null;
   }
 }
 const EN_LANGS = [
@@ -217,11 +473,18 @@ async function fetchTranscriptViaLib(videoId) {
       const parts = await YoutubeTranscript.fetchTranscript(videoId, { lang });
       if (parts?.length) {
         console.log(`✅ transcript via lib (${lang}) for`, videoId);
-        return parts.map(p => p.text).join(' ').replace(/\s+/g, ' ');
+        // The lib reports seconds for classic XML but milliseconds for srv3; real cues last a few seconds.
+        const avgDur = parts.reduce((n, p) => n + (Number(p.duration) || 0), 0) / parts.length;
+        const unit = avgDur > 30 ? 1000 : 1;
+        return timedTranscript(parts.map(p => ({
+          start: (Number(p.offset) || 0) / unit,
+          end: ((Number(p.offset) || 0) + (Number(p.duration) || 0)) / unit,
+          text: cleanCueText(p.text)
+        })));
       }
     } catch { /* keep trying */ }
   }
-  return '';
+  return null;
 }
 async function fetchTranscriptViaWatchPage(videoId) {
   const headers = {
@@ -283,7 +546,7 @@ async function fetchTranscriptViaWatchPage(videoId) {
 
   if (tracks && tracks.length) {
     let baseUrl = pickTrack(tracks)?.baseUrl || '';
-    if (!baseUrl) return '';
+    if (!baseUrl) return null;
 
     baseUrl = baseUrl.replace(/\\u0026/g, '&');
 
@@ -294,15 +557,10 @@ async function fetchTranscriptViaWatchPage(videoId) {
       const body = await r.text();
       if (body.trim().startsWith('{')) {
         try {
-          const data = JSON.parse(body);
-          const text = (data.events || [])
-            .map(ev => (ev.segs || []).map(s => s.utf8).join(''))
-            .join(' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-          if (text) {
+          const out = timedTranscript(json3ToSegments(JSON.parse(body)));
+          if (out.text) {
             console.log('✅ transcript via embed/watch json3 for', videoId);
-            return text;
+            return out;
           }
         } catch {}
       }
@@ -311,16 +569,17 @@ async function fetchTranscriptViaWatchPage(videoId) {
     r = await fetch(xmlUrl, { headers });
     if (r.ok) {
       const xml = await r.text();
-      const text = xml.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-      if (text) {
+      let out = timedTranscript(ttmlToSegments(xml));
+      if (!out.text) out = { text: xml.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(), segments: [] };
+      if (out.text) {
         console.log('✅ transcript via embed/watch XML for', videoId);
-        return text;
+        return out;
       }
     }
   }
 
   console.warn('No captionTracks in embed/watch/timedtext for', videoId);
-  return '';
+  return null;
 }
 async function fetchTranscriptViaWhisper(videoId) {
   const work = path.join(os.tmpdir(), `yt-${videoId}-${Date.now()}`);
@@ -347,34 +606,97 @@ async function fetchTranscriptViaWhisper(videoId) {
   try {
     await run(YTDLP_BIN, args);
     const outStem = path.join(work, videoId);
-    await run(WHISPER_BIN, ['-m', WHISPER_MODEL, '-f', audioPath, '-otxt', '-of', outStem]);
+    await run(WHISPER_BIN, ['-m', WHISPER_MODEL, '-f', audioPath, '-osrt', '-of', outStem]);
 
-    const txt = await fs.readFile(`${outStem}.txt`, 'utf8');
-    const plain = txt.replace(/\s+/g, ' ').trim();
-    if (plain) console.log('✅ transcript via whisper.cpp for', videoId);
-    return plain.slice(0, 8000);
+    const srt = await fs.readFile(`${outStem}.srt`, 'utf8');
+    const out = timedTranscript(srtToSegments(srt));
+    if (out.text) console.log('✅ transcript via whisper.cpp for', videoId);
+    return out.text ? out : null;
   } catch (e) {
     console.warn('Whisper fallback failed:', e.message || String(e));
-    return '';
+    return null;
   } finally {
     try { await fs.rm(work, { recursive: true, force: true }); } catch {}
   }
 }
-// Unified transcript getter (finance normalization)
-async function fetchTranscriptText(videoId) {
-  const fromApi = await fetchTranscriptViaYouTubeAPI(videoId);
-  if (fromApi) return normalizeForFinance(fromApi).slice(0, 8000);
-
-  const fromLib = await fetchTranscriptViaLib(videoId);
-  if (fromLib) return normalizeForFinance(fromLib).slice(0, 8000);
+// Hand-supplied transcripts: <TRANSCRIPT_LOCAL_DIR>/<videoId>.srt|.vtt|.txt
+async function fetchTranscriptViaLocalFile(videoId) {
+  const parsers = {
+    '.srt': raw => timedTranscript(srtToSegments(raw)),
+    '.vtt': raw => timedTranscript(vttToSegments(raw)),
+    '.txt': raw => ({ text: raw.replace(/\s+/g, ' ').trim(), segments: [] })
+  };
+  for (const [ext, parse] of Object.entries(parsers)) {
+    let raw;
+    try { raw = await fs.readFile(path.join(TRANSCRIPT_LOCAL_DIR, `${videoId}${ext}`), 'utf8'); } catch { continue; }
+    const out = parse(raw);
+    if (out.text) {
+      console.log(`✅ transcript via local ${ext} file for`, videoId);
+      return out;
+    }
+  }
+  return null;
+}
 
-  const fromWatch = await fetchTranscriptViaWatchPage(videoId);
-  if (fromWatch) return normalizeForFinance(fromWatch).slice(0, 8000);
+// Provider chain — order comes from TRANSCRIPT_PROVIDERS (e.g. "local,api,lib,whisper").
+// `cache: false` → the provider already reads from disk, so don't duplicate it into TRANSCRIPTS_DIR.
+const TRANSCRIPT_PROVIDER_REGISTRY = {
+  local:   { source: 'local-file',         fetch: fetchTranscriptViaLocalFile, cache: false },
+  api:     { source: 'youtube-api',        fetch: fetchTranscriptViaYouTubeAPI },
+  lib:     { source: 'youtube-transcript', fetch: fetchTranscriptViaLib },
+  watch:   { source: 'watch-page',         fetch: fetchTranscriptViaWatchPage },
+  whisper: { source: 'whisper',            fetch: fetchTranscriptViaWhisper }
+};
+const TRANSCRIPT_PROVIDER_ORDER = TRANSCRIPT_PROVIDERS
+  .split(',')
+  .map(s => s.trim().toLowerCase())
+  .filter(name => {
+    if (!name) return false;
+    if (TRANSCRIPT_PROVIDER_REGISTRY[name]) return true;
+    console.warn(`Unknown transcript provider "${name}" in TRANSCRIPT_PROVIDERS (known: ${Object.keys(TRANSCRIPT_PROVIDER_REGISTRY).join(', ')})`);
+    return false;
+  });
 
-  const fromWhisper = await fetchTranscriptViaWhisper(videoId);
-  if (fromWhisper) return normalizeForFinance(fromWhisper).slice(0, 8000);
+// On-disk cache: transcripts/<videoId>.json = { videoId, source, fetchedAt, text, segments } (raw, pre-normalization)
+function transcriptCachePath(videoId) {
+  return path.join(TRANSCRIPTS_DIR, `${videoId}.json`);
+}
+async function readCachedTranscript(videoId) {
+  const hit = await readJSONSafe(transcriptCachePath(videoId));
+  return hit?.text ? hit : null;
+}
+async function writeCachedTranscript(entry) {
+  await makeOutputDir(TRANSCRIPTS_DIR);
+  await writeJSON(transcriptCachePath(entry.videoId), entry);
+}
+async function loadTranscript(videoId, { refresh = REFRESH_TRANSCRIPTS } = {}) {
+  if (!refresh) {
+    const cached = await readCachedTranscript(videoId);
+    if (cached) {
+      console.log(`✅ transcript from cache (${cached.source}) for`, videoId);
+      return cached;
+    }
+  }
+  for (const name of TRANSCRIPT_PROVIDER_ORDER) {
+    const provider = TRANSCRIPT_PROVIDER_REGISTRY[name];
+    const got = await provider.fetch(videoId);
+    if (!got?.text) continue;
+    const entry = { videoId, source: provider.source, fetchedAt: new Date().toISOString(), text: got.text, segments: got.segments || [] };
+    if (provider.cache !== false) await writeCachedTranscript(entry);
+    return entry;
+  }
+  return null;
+}
 
-  return '';
+// Unified transcript getter (finance normalization) → { text, source, segments }
+// Segments are normalized one by one so their timings survive.
+async function fetchTranscript(videoId, opts) {
+  const entry = await loadTranscript(videoId, opts);
+  if (!entry) return { text: '', source: '', segments: [] };
+  const segments = (entry.segments || [])
+    .map(seg => ({ ...seg, text: normalizeForFinance(seg.text) }))
+    .filter(seg => seg.text);
+  return { text: normalizeForFinance(entry.text), source: entry.source, segments };
 }
 
 /* ============================================================
@@ -508,65 +830,189 @@ async function fetchShortsBySearch(channelId, maxItems = 50) {
 /* ============================================================
    NUMERIC VERIFICATION (tolerant) + PRICE SANITY
    ============================================================ */
-function parseNumericTokens(s='') {
-  const out = [];
-  const re = /\$?\s*(\d{1,3}(?:,\d{3})*(?:\.\d+)?|\d+(?:\.\d+)?)\s*([kKmM%])?/g;
-  let m;
-  while ((m = re.exec(s)) !== null) {
-    const raw = m[0];
-    const num = m[1].replace(/,/g, '');
-    let val = Number(num);
-    const suf = (m[2] || '').toLowerCase();
-    if (suf === 'k') val *= 1e3;
-    else if (suf === 'm') val *= 1e6;
-    const isPercent = suf === '%' || /%/.test(raw);
-    const isUSD = /^\s*\$/.test(raw);
-    out.push({ raw, value: val, isPercent, isUSD });
-  }
-  return out;
+function numbersMatch(w, t) {
+  if (w.isPercent !== t.isPercent) return false;
+  const normRaw = r => r.replace(/[,\s\$]/g,'').toLowerCase();
+  if (normRaw(w.raw) === normRaw(t.raw)) return true;
+  const denom = Math.max(1, Math.abs(w.value));
+  const rel = Math.abs(w.value - t.value) / denom;
+  return rel <= 0.01;
 }
 function appearsInTranscriptHuman(nRaw, transcript) {
   const want = parseNumericTokens(nRaw);
   if (!want.length) return false;
   const tnums = parseNumericTokens(transcript);
-  return want.every(w =>
-    tnums.some(t => {
-      if (w.isPercent !== t.isPercent) return false;
-      const normRaw = r => r.replace(/[,\s\$]/g,'').toLowerCase();
-      if (normRaw(w.raw) === normRaw(t.raw)) return true;
-      const denom = Math.max(1, Math.abs(w.value));
-      const rel = Math.abs(w.value - t.value) / denom;
-      return rel <= 0.01;
-    })
-  );
+  return want.every(w => tnums.some(t => numbersMatch(w, t)));
+}
+
+/* ============================================================
+   NUMERIC GROUNDING — every number is checked on its own; unsupported
+   values are dropped (levels/setup fields) or masked (prose), supported
+   ones keep a pointer to the transcript span that backs them
+   ============================================================ */
+const NUMBER_IN_TEXT = /\$?\d+(?:,\d{3})*(?:\.\d+)?(?:\s*(?:[kKmM](?![A-Za-z])|%))?/g;
+const UNVERIFIED_MARK = '—';
+
+// { start, end, quote } into the transcript the summarizer saw, or null
+function transcriptSpan(raw, tnums, transcript) {
+  const want = parseNumericTokens(raw)[0];
+  if (!want) return null;
+  const hit = tnums.find(t => numbersMatch(want, t));
+  if (!hit) return null;
+  const start = hit.index;
+  const end = start + hit.raw.trim().length;
+  const from = Math.max(0, transcript.lastIndexOf(' ', Math.max(0, start - 60)) + 1);
+  const to = transcript.indexOf(' ', Math.min(transcript.length, end + 60));
+  const quote = transcript.slice(from, to < 0 ? transcript.length : to).trim();
+  return { start, end, quote: `${from > 0 ? '…' : ''}${quote}${to >= 0 ? '…' : ''}` };
+}
+function groundSummary(bullets, long, transcript) {
+  const tnums = parseNumericTokens(transcript);
+  const spans = [];
+  const removed = [];
+  let checked = 0;
+  const check = (field, raw) => {
+    checked++;
+    const span = transcriptSpan(raw, tnums, transcript);
+    if (span) spans.push({ field, value: raw, ...span });
+    else removed.push({ field, value: raw, reason: 'not found in transcript' });
+    return span;
+  };
+  // prose keeps its wording; only the unsupported numbers are masked
+  const groundText = (field, s) => String(s || '').replace(NUMBER_IN_TEXT, raw => (check(field, raw) ? raw : UNVERIFIED_MARK));
+
+  const out = {
+    ...long,
+    context: groundText('context', long.context),
+    takeaways: (long.takeaways || []).map((t, i) => groundText(`takeaways[${i}]`, t)),
+    catalysts: (long.catalysts || []).map((t, i) => groundText(`catalysts[${i}]`, t)),
+    notable_details: (long.notable_details || []).map((t, i) => groundText(`notable_details[${i}]`, t))
+  };
+  // a key level is the number itself: unsupported → the whole level goes
+  out.key_levels = (long.key_levels || []).flatMap((l, i) => {
+    const nums = String(l.level || '').match(NUMBER_IN_TEXT) || [];
+    if (!nums.length) return [l];
+    const evidence = nums.map(raw => check(`key_levels[${i}].level`, raw));
+    if (evidence.some(e => !e)) return [];
+    const notes = l.notes ? { notes: groundText(`key_levels[${i}].notes`, l.notes) } : {};
+    return [{ ...l, ...notes, verified: true, evidence: evidence[0] }];
+  });
+  // setups survive without an unsupported trigger/invalidation/target; those fields are blanked
+  out.setups = (long.setups || []).map((st, i) => {
+    const next = { ...st };
+    if (st.thesis) next.thesis = groundText(`setups[${i}].thesis`, st.thesis);
+    for (const key of ['trigger', 'invalidation', 'targets']) {
+      const nums = String(st[key] || '').match(NUMBER_IN_TEXT) || [];
+      if (nums.map(raw => check(`setups[${i}].${key}`, raw)).some(e => !e)) next[key] = '';
+    }
+    return next;
+  });
+  const grounded = (bullets || []).map((b, i) => groundText(`bullets[${i}]`, b));
+  out.grounding = { checked, verified: spans.length, spans, removed };
+  return { bullets: grounded, long: out };
+}
+/* ============================================================
+   PRICE SOURCES — historical daily price for plausibility checks
+   local    = OHLC_DIR/<ASSET>.csv (close of the day, see SETUP TRACKER)
+              or OHLC_DIR/<ASSET>.json ({ "YYYY-MM-DD": price } or [{ date, price }])
+   coingecko = /coins/<priceId>/history (network; results cached on disk)
+   Each source: fetch(asset, 'YYYY-MM-DD') -> { price, date } | null (date = day the price is from)
+   ============================================================ */
+const PRICE_LOOKBACK_DAYS = 3; // weekends / gaps in local data: use the closest earlier day
+
+const localPriceTables = new Map(); // ASSET -> Map(date -> price) | null
+async function localPriceTable(asset) {
+  if (localPriceTables.has(asset)) return localPriceTables.get(asset);
+  const table = new Map();
+  const csv = await fs.readFile(path.join(OHLC_DIR, `${asset}.csv`), 'utf8').catch(() => '');
+  for (const k of parseOhlcCsv(csv)) table.set(new Date(k.t).toISOString().slice(0, 10), k.c);
+  const json = await readJSONSafe(path.join(OHLC_DIR, `${asset}.json`), null);
+  const rows = Array.isArray(json) ? json.map(r => [r.date, r.price ?? r.close]) : Object.entries(json || {});
+  for (const [date, price] of rows) {
+    const d = new Date(date);
+    if (!isNaN(d) && Number.isFinite(Number(price))) table.set(d.toISOString().slice(0, 10), Number(price));
+  }
+  localPriceTables.set(asset, table.size ? table : null);
+  return localPriceTables.get(asset);
+}
+async function fetchPriceLocal(asset, date) {
+  const table = await localPriceTable(asset);
+  if (!table) return null;
+  for (let back = 0; back <= PRICE_LOOKBACK_DAYS; back++) {
+    const d = new Date(Date.parse(date) - back * 864e5).toISOString().slice(0, 10);
+    if (table.has(d)) return { price: table.get(d), date: d };
+  }
+  return null;
 }
-async function spotPrices(symbols=[]) {
-  if (!ALLOW_PRICE_LOOKUPS || !symbols.length) return {};
-  const MAP = { BTC:'bitcoin', ETH:'ethereum', SOL:'solana', XRP:'ripple', ADA:'cardano', AVAX:'avalanche-2', LINK:'chainlink' };
-  const ids = symbols.map(s => MAP[s]).filter(Boolean);
-  if (!ids.length) return {};
-  const url = `https://api.coingecko.com/api/v3/simple/price?ids=${ids.join(',')}&vs_currencies=usd`;
+async function fetchPriceCoinGecko(asset, date) {
+  const id = ASSETS.assets.get(asset)?.priceId;
+  if (!id) return null;
+  const [y, m, d] = date.split('-');
   try {
-    const r = await fetch(url);
+    const r = await fetch(`https://api.coingecko.com/api/v3/coins/${encodeURIComponent(id)}/history?date=${d}-${m}-${y}&localization=false`);
+    if (!r.ok) return null;
     const j = await r.json();
-    const out = {};
-    for (const [k,v] of Object.entries(j)) {
-      const sym = Object.keys(MAP).find(s => MAP[s] === k);
-      out[sym] = v.usd;
+    const price = j?.market_data?.current_price?.usd;
+    return price ? { price, date } : null;
+  } catch { return null; }
+}
+const PRICE_SOURCE_REGISTRY = {
+  local:     { fetch: fetchPriceLocal,     cache: false }, // already on disk
+  coingecko: { fetch: fetchPriceCoinGecko }
+};
+const PRICE_SOURCE_ORDER = PRICE_SOURCES
+  .split(',')
+  .map(s => s.trim().toLowerCase())
+  .filter(name => {
+    if (!name) return false;
+    if (PRICE_SOURCE_REGISTRY[name]) return true;
+    console.warn(`Unknown price source "${name}" in PRICE_SOURCES (known: ${Object.keys(PRICE_SOURCE_REGISTRY).join(', ')})`);
+    return false;
+  });
+
+let priceCache = null;
+// -> { price, source, date } for the asset on the (UTC) day of `when`, or null
+async function priceOn(asset, when) {
+  const date = new Date(when).toISOString().slice(0, 10);
+  const key = `${asset}|${date}`;
+  priceCache ??= (await readJSONSafe(PRICE_CACHE_FILE, {})) || {};
+  if (priceCache[key]) return priceCache[key];
+  for (const name of PRICE_SOURCE_ORDER) {
+    const source = PRICE_SOURCE_REGISTRY[name];
+    const got = await source.fetch(asset, date);
+    if (!(got?.price > 0)) continue;
+    const hit = { price: got.price, source: name, date: got.date };
+    if (source.cache !== false) {
+      priceCache[key] = hit;
+      await writeJSON(PRICE_CACHE_FILE, priceCache);
     }
-    return out;
-  } catch { return {}; }
+    return hit;
+  }
+  return null;
 }
-async function filterImplausibleLevels(long) {
+async function filterImplausibleLevels(long, publishedAt) {
   const syms = Array.from(new Set((long?.key_levels || []).map(l => (l.asset||'').toUpperCase())))
     .filter(s => TICKER_WHITELIST.has(s));
-  const spot = await spotPrices(syms);
-  if (!Object.keys(spot).length) return long;
+  const ref = {};
+  if (publishedAt && !isNaN(new Date(publishedAt))) {
+    for (const a of syms) ref[a] = await priceOn(a, publishedAt);
+  }
+  const drop = (l, reason) => {
+    if (long.grounding) long.grounding.removed.push({ field: 'key_levels', value: `${l.asset} ${l.level}`, reason });
+    return false;
+  };
   long.key_levels = (long.key_levels || []).filter(l => {
     const a = (l.asset||'').toUpperCase();
-    const p = Number(String(l.level||'').replace(/[^\d.]/g,''));
-    if (!a || !p || !spot[a]) return true;
-    return p > spot[a] / 100 && p < spot[a] * 100;
+    const p = Number(levelKeys(l.level)[0]);
+    if (!a || !p) return true;
+    // static range from the registry, then the price on the publish date (when a source has it)
+    const range = ASSETS.assets.get(a)?.range;
+    if (range && (p < range[0] || p > range[1])) return drop(l, `outside plausible range for ${a} (${range[0]}–${range[1]})`);
+    const r = ref[a];
+    if (r && !(p > r.price / PRICE_PLAUSIBLE_FACTOR && p < r.price * PRICE_PLAUSIBLE_FACTOR)) {
+      return drop(l, `implausible vs ${a} price ${r.price} on ${r.date} (${r.source})`);
+    }
+    return true;
   });
   return long;
 }
@@ -623,6 +1069,9 @@ function extractNumbers(text, limit = 40) {
     .slice(0, limit)
     .map(m => m[1]);
 }
+const SKIPPED_BULLET = 'Transcript unavailable — summary skipped.';
+const PENDING_BULLET = 'Summary pending — processing error.';
+
 function postFix(s='') {
   return normalizeForFinance(String(s || '').replace(/xxx/gi, '—'));
 }
@@ -630,7 +1079,7 @@ function postFix(s='') {
 async function summarizeFree(v, transcript) {
   const sentences = tokenizeSentences(transcript).slice(0, 400);
   if (!sentences.length) {
-    return { ...v, bullets: ['Transcript unavailable — summary skipped.'], long: { skipped: true } };
+    return { ...v, bullets: [SKIPPED_BULLET], long: { skipped: true } };
   }
   const scores = scoreSentences(sentences);
   const top3Idx = topKIndices(scores, 3);
@@ -669,25 +1118,8 @@ async function summarizeFree(v, transcript) {
     notable_details: details.map(postFix)
   };
 
-  const serialized = (bullets.join(' ') + ' ' + JSON.stringify(long));
-  const nums = serialized.match(/\$?\s*\d[\d,]*(?:\.\d+)?\s*[kKmM%]?/g) || [];
-  const hasUnseen = nums.some(n => !appearsInTranscriptHuman(n, transcript));
-
-  if (hasUnseen) {
-    const scrub = s => String(s).replace(/\$?\s*\d[\d,]*(?:\.\d+)?\s*[kKmM%]?/g, 'x');
-    bullets = bullets.map(scrub);
-    long = {
-      ...long,
-      context: scrub(long.context || ''),
-      takeaways: (long.takeaways || []).map(scrub),
-      catalysts: (long.catalysts || []).map(scrub),
-      key_levels: (long.key_levels || []).map(kl => ({ ...kl, level: scrub(kl.level || ''), notes: scrub(kl.notes || '') })),
-      notable_details: (long.notable_details || []).map(scrub),
-      note: 'Numerical details scrubbed — mismatch with transcript.'
-    };
-  }
-
-  long = await filterImplausibleLevels(long);
+  ({ bullets, long } = groundSummary(bullets, long, transcript));
+  long = await filterImplausibleLevels(long, v.publishedAt);
 
   if (Array.isArray(long.key_levels)) {
     long.key_levels = long.key_levels.map(l => {
@@ -698,11 +1130,282 @@ async function summarizeFree(v, transcript) {
 
   return { ...v, bullets, long };
 }
-async function summarizeWithOpenAI(v, transcript) {
-  if (!transcript || transcript.trim().length < 200) {
-    return { ...v, bullets: ['Transcript unavailable — summary skipped.'], long: { skipped: true } };
+/* ============================================================
+   SUMMARIZER BACKENDS — openai | openai-compatible | mock (free = summarizeFree)
+   A backend only turns { system, messages } into raw JSON text; prompt, parsing,
+   schema validation/repair, normalization (postFix) and numeric grounding are
+   shared in summarizeWithLLM.
+   ============================================================ */
+function createOpenAIBackend({ apiKey, baseURL, model, jsonMode = true }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  return {
+    model,
+    async complete({ system, messages }) {
+      const res = await client.chat.completions.create({
+        model,
+        temperature: 0.2,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        messages: [{ role: 'system', content: system }, ...messages]
+      });
+      return res.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+// Deterministic stand-in for offline runs: lifts sentences and ticker/number pairs
+// straight from the transcript, so its output always survives numeric verification.
+function createMockBackend() {
+  return {
+    model: 'mock',
+    async complete({ messages }) {
+      const user = messages[0].content;
+      const transcript = user.slice(user.lastIndexOf('Transcript:\n') + 'Transcript:\n'.length);
+      const sentences = tokenizeSentences(transcript);
+      const key_levels = [];
+      for (const sentence of sentences) {
+        const asset = [...tickersIn(sentence)][0];
+        const num = parseNumericTokens(sentence).find(n => !n.isPercent && n.value >= 1);
+        if (!asset || !num || key_levels.length >= 4) continue;
+        const direction = /support|hold|bounce/i.test(sentence) ? 'support' : /resist|reject|cap/i.test(sentence) ? 'resistance' : 'pivot';
+        key_levels.push({ asset, level: num.raw.trim(), direction, notes: sentence.slice(0, 120) });
+      }
+      // clipped to validateSummaryJSON's limits: unpunctuated captions come back as one huge "sentence"
+      return JSON.stringify({
+        tldr: sentences.slice(0, 3).map(x => x.split(/\s+/).slice(0, 18).join(' ')),
+        long: {
+          context: clip(sentences.slice(0, 2).join(' '), 1200),
+          key_levels,
+          setups: [],
+          takeaways: sentences.slice(3, 6).map(x => clip(x, 300)),
+          catalysts: [],
+          notable_details: sentences.slice(6, 9).map(x => clip(x, 300))
+        }
+      });
+    }
+  };
+}
+let summarizerBackend; // created on first use
+function getSummarizerBackend() {
+  if (summarizerBackend !== undefined) return summarizerBackend;
+  switch (SUMMARIZER) {
+    case 'openai':
+      summarizerBackend = createOpenAIBackend({ apiKey: OPENAI_API_KEY, model: OPENAI_MODEL });
+      break;
+    case 'openai-compatible':
+      summarizerBackend = createOpenAIBackend({ apiKey: LLM_API_KEY || 'not-needed', baseURL: LLM_BASE_URL, model: LLM_MODEL, jsonMode: LLM_JSON_MODE });
+      break;
+    case 'mock':
+      summarizerBackend = createMockBackend();
+      break;
+    default:
+      summarizerBackend = null; // free: rule-based, no LLM
+  }
+  return summarizerBackend;
+}
+/* ============================================================
+   SUMMARY SCHEMA — the tldr/long contract every LLM backend must meet
+   validateSummaryJSON → ["path: problem", …] (empty = valid)
+   ============================================================ */
+const SUMMARY_CONTRACT = 'tldr-long/v1';
+const LEVEL_DIRECTIONS = ['support', 'resistance', 'pivot'];
+const MAX_TLDR_WORDS = 60;
+
+function stringErrors(v, at, { required = false, max = 300 } = {}) {
+  if (v == null || v === '') return required ? [`${at}: required`] : [];
+  if (typeof v !== 'string') return [`${at}: must be a string (got ${Array.isArray(v) ? 'array' : typeof v})`];
+  if (required && !v.trim()) return [`${at}: must not be blank`];
+  if (v.length > max) return [`${at}: longer than ${max} characters (${v.length})`];
+  return [];
+}
+function stringListErrors(v, at, { required = false, maxItems = 6, max = 300 } = {}) {
+  if (v == null) return required ? [`${at}: required`] : [];
+  if (!Array.isArray(v)) return [`${at}: must be an array of strings`];
+  const errs = v.length > maxItems ? [`${at}: at most ${maxItems} items (${v.length})`] : [];
+  v.forEach((x, i) => errs.push(...stringErrors(x, `${at}[${i}]`, { required: true, max })));
+  return errs;
+}
+function keyLevelErrors(l, at) {
+  if (!l || typeof l !== 'object' || Array.isArray(l)) return [`${at}: must be an object`];
+  const errs = [
+    ...stringErrors(l.asset, `${at}.asset`, { max: 10 }),
+    ...stringErrors(typeof l.level === 'number' ? String(l.level) : l.level, `${at}.level`, { required: true, max: 40 }),
+    ...stringErrors(l.notes, `${at}.notes`)
+  ];
+  if (!LEVEL_DIRECTIONS.includes(l.direction)) {
+    errs.push(`${at}.direction: must be one of ${LEVEL_DIRECTIONS.join('|')} (got ${JSON.stringify(l.direction ?? null)})`);
+  }
+  return errs;
+}
+function setupErrors(st, at) {
+  if (!st || typeof st !== 'object' || Array.isArray(st)) return [`${at}: must be an object`];
+  return [
+    ...stringErrors(st.name, `${at}.name`, { required: true, max: 120 }),
+    ...['thesis', 'trigger', 'invalidation', 'targets'].flatMap(k => stringErrors(st[k], `${at}.${k}`))
+  ];
+}
+function validateSummaryJSON(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return ['$: must be a JSON object'];
+  const errs = stringListErrors(data.tldr, 'tldr', { required: true, maxItems: 3, max: 400 });
+  if (Array.isArray(data.tldr)) {
+    if (!data.tldr.length) errs.push('tldr: at least 1 bullet');
+    const words = data.tldr.filter(x => typeof x === 'string').join(' ').split(/\s+/).filter(Boolean).length;
+    if (words > MAX_TLDR_WORDS) errs.push(`tldr: at most ${MAX_TLDR_WORDS} words total (${words})`);
+  }
+  const long = data.long;
+  if (!long || typeof long !== 'object' || Array.isArray(long)) return [...errs, 'long: must be an object'];
+  errs.push(...stringErrors(long.context, 'long.context', { required: true, max: 1200 }));
+  for (const [key, check] of [['key_levels', keyLevelErrors], ['setups', setupErrors]]) {
+    if (long[key] == null) continue;
+    if (!Array.isArray(long[key])) { errs.push(`long.${key}: must be an array`); continue; }
+    long[key].forEach((x, i) => errs.push(...check(x, `long.${key}[${i}]`)));
+  }
+  errs.push(...stringListErrors(long.takeaways, 'long.takeaways'));
+  errs.push(...stringListErrors(long.catalysts, 'long.catalysts'));
+  errs.push(...stringListErrors(long.notable_details, 'long.notable_details'));
+  return errs;
+}
+// Last resort once repairs are exhausted: keep only the parts that meet the contract.
+function sanitizeSummaryJSON(data) {
+  const strings = (v, n) => (Array.isArray(v) ? v.filter(x => typeof x === 'string' && x.trim()).slice(0, n) : []);
+  const long = data?.long && typeof data.long === 'object' && !Array.isArray(data.long) ? data.long : {};
+  return {
+    tldr: strings(data?.tldr, 3),
+    long: {
+      ...long,
+      context: typeof long.context === 'string' ? long.context : '',
+      key_levels: (Array.isArray(long.key_levels) ? long.key_levels : []).filter(l => !keyLevelErrors(l, '').length),
+      setups: (Array.isArray(long.setups) ? long.setups : []).filter(st => !setupErrors(st, '').length),
+      takeaways: strings(long.takeaways, 6),
+      catalysts: strings(long.catalysts, 6),
+      notable_details: strings(long.notable_details, 6)
+    }
+  };
+}
+
+// Local servers often wrap JSON in ``` fences or add a preamble; take the outermost object.
+function parseModelJSON(text='') {
+  try { return JSON.parse(text); } catch {}
+  const i = text.indexOf('{'), j = text.lastIndexOf('}');
+  if (i === -1 || j <= i) return {};
+  try { return JSON.parse(text.slice(i, j + 1)); } catch { return {}; }
+}
+/* ============================================================
+   CHUNKED MAP-REDUCE — long transcripts are summarized in overlapping
+   chunks (map), then merged with levels/setups deduplicated (reduce)
+   ============================================================ */
+function chunkTranscript(text, size = SUMMARY_CHUNK_CHARS, overlap = SUMMARY_CHUNK_OVERLAP) {
+  if (text.length <= size) return [text];
+  // keep the number of model calls bounded: grow the chunk instead of adding more
+  size = Math.max(size, Math.ceil(text.length / SUMMARY_MAX_CHUNKS));
+  // sentence units; auto-captions often have no punctuation, so oversized units are split on words
+  const units = [];
+  for (const sentence of tokenizeSentences(text)) {
+    if (sentence.length <= size) { units.push(sentence); continue; }
+    let buf = '';
+    for (const word of sentence.split(' ')) {
+      if (buf && buf.length + word.length + 1 > size / 4) { units.push(buf); buf = ''; }
+      buf = buf ? `${buf} ${word}` : word;
+    }
+    if (buf) units.push(buf);
+  }
+  const chunks = [];
+  let cur = [];
+  let len = 0;
+  for (const u of units) {
+    if (cur.length && len + u.length + 1 > size) {
+      chunks.push(cur.join(' '));
+      // carry the tail of this chunk into the next one so nothing said across the boundary is lost
+      const tail = [];
+      let tailLen = 0;
+      for (let i = cur.length - 1; i >= 0 && tailLen < overlap; i--) {
+        if (tailLen + cur[i].length <= overlap) {
+          tail.unshift(cur[i]);
+          tailLen += cur[i].length + 1;
+          continue;
+        }
+        // a unit longer than what is left of the overlap (long unpunctuated runs): carry its last words
+        const words = cur[i].split(' ');
+        let part = '';
+        for (let w = words.length - 1; w >= 0 && part.length + words[w].length + 1 <= overlap - tailLen; w--) {
+          part = part ? `${words[w]} ${part}` : words[w];
+        }
+        if (part) {
+          tail.unshift(part);
+          tailLen += part.length + 1;
+        }
+        break;
+      }
+      cur = tail;
+      len = tailLen;
+    }
+    cur.push(u);
+    len += u.length + 1;
+  }
+  if (cur.length) chunks.push(cur.join(' '));
+  return chunks;
+}
+const dedupeKey = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+function dedupeStrings(list, max = 6) {
+  const seen = new Set();
+  const out = [];
+  for (const x of list) {
+    const k = dedupeKey(x);
+    if (!k || seen.has(k)) continue;
+    seen.add(k);
+    out.push(x);
+  }
+  return out.slice(0, max);
+}
+function levelDedupeKey(l) {
+  const keys = levelKeys(l.level);
+  return `${String(l.asset || '').toUpperCase()}|${keys.length ? keys.join(',') : dedupeKey(l.level)}`;
+}
+function setupDedupeKey(st) {
+  return `${dedupeKey(st.name)}|${levelKeys(st.trigger).join(',')}`;
+}
+function dedupeBy(list, keyOf) {
+  const byKey = new Map();
+  for (const x of list) {
+    const k = keyOf(x);
+    const prev = byKey.get(k);
+    if (!prev) { byKey.set(k, { ...x }); continue; }
+    // same level/setup seen again in a later chunk: only fill in what the first mention lacked
+    for (const [field, val] of Object.entries(x)) if (!prev[field] && val) prev[field] = val;
+  }
+  return Array.from(byKey.values());
+}
+function mergePartialSummaries(partials) {
+  // TL;DR: round-robin over the chunks (first bullet of each, then second…) within the word budget
+  const tldr = [];
+  let words = 0;
+  const maxLen = Math.max(...partials.map(p => p.tldr.length));
+  for (let i = 0; i < maxLen && tldr.length < 3; i++) {
+    for (const p of partials) {
+      const b = p.tldr[i];
+      if (!b || tldr.length >= 3 || tldr.some(x => dedupeKey(x) === dedupeKey(b))) continue;
+      const n = b.split(/\s+/).length;
+      if (words + n > MAX_TLDR_WORDS) continue;
+      tldr.push(b);
+      words += n;
+    }
   }
+  const longs = partials.map(p => p.long || {});
+  const all = key => longs.flatMap(l => (Array.isArray(l[key]) ? l[key] : []));
+  return {
+    tldr,
+    long: {
+      context: dedupeStrings(longs.map(l => l.context).filter(Boolean), 3).join(' ').slice(0, 1200),
+      key_levels: dedupeBy(all('key_levels'), levelDedupeKey),
+      setups: dedupeBy(all('setups'), setupDedupeKey),
+      takeaways: dedupeStrings(all('takeaways')),
+      catalysts: dedupeStrings(all('catalysts')),
+      notable_details: dedupeStrings(all('notable_details'))
+    }
+  };
+}
 
+// One model round-trip for one chunk: ask, validate, and re-ask with the validation errors
+// (bounded by MAX_REPAIR_ATTEMPTS). Returns the (sanitized if still invalid) JSON + a validation log.
+async function requestSummaryJSON(backend, text, { videoId, part = 1, of = 1 }) {
   const ALLOWED_TICKERS = Array.from(TICKER_WHITELIST).join(', ');
   const SYSTEM_PROMPT = `
 You are a factual trading summarizer.
@@ -713,6 +1416,9 @@ You are a factual trading summarizer.
 Be concise, precise, and faithful to the transcript.
 `.trim();
 
+  const partNote = of > 1
+    ? `\nThis is part ${part} of ${of} of one video (parts overlap slightly). Summarize only this part; include every level and setup it mentions.`
+    : '';
   const prompt = `Return JSON that conforms to:
 {
   "tldr": ["<=3 bullets, <=60 words total"],
@@ -727,26 +1433,57 @@ Be concise, precise, and faithful to the transcript.
 }
 RULES:
 - Asset codes MUST be from [${ALLOWED_TICKERS}]. If not present in transcript, omit.
-- Every numeric you output MUST appear in the transcript (you may reformat $, commas).
+- Every numeric you output MUST appear in the transcript (you may reformat $, commas).${partNote}
 Transcript:
-${transcript.slice(0, 6000)}`;
+${text}`;
+
+  const messages = [{ role: 'user', content: prompt }];
+  const validation = { valid: false, repairs: 0, attempts: [] };
+  let data = {};
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const raw = await backend.complete({ system: SYSTEM_PROMPT, messages });
+    data = parseModelJSON(raw);
+    const errors = validateSummaryJSON(data);
+    validation.attempts.push({ part, errors: errors.slice(0, 20) });
+    if (!errors.length) { validation.valid = true; break; }
+    if (attempt === MAX_REPAIR_ATTEMPTS) break;
+    validation.repairs++;
+    console.warn(`Schema repair ${validation.repairs}/${MAX_REPAIR_ATTEMPTS} for ${videoId}${of > 1 ? ` (part ${part}/${of})` : ''}: ${errors.length} error(s)`);
+    messages.push(
+      { role: 'assistant', content: raw || '{}' },
+      { role: 'user', content: `Your JSON does not match the required schema:\n${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}\nReturn the full corrected JSON object only.` }
+    );
+  }
+  return { data: validation.valid ? data : sanitizeSummaryJSON(data), validation };
+}
 
-  try {
-    const res = await ai.chat.completions.create({
-      model: OPENAI_MODEL,
-      temperature: 0.2,
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
-        { role: 'user', content: prompt }
-      ]
-    });
+async function summarizeWithLLM(v, transcript, backend) {
+  if (!transcript || transcript.trim().length < 200) {
+    return { ...v, bullets: [SKIPPED_BULLET], long: { skipped: true } };
+  }
 
-    let data = {};
-    try { data = JSON.parse(res.choices[0].message.content || '{}'); } catch {}
+  try {
+    // map: one (validated) partial summary per chunk
+    const chunks = chunkTranscript(transcript);
+    if (chunks.length > 1) console.log(`Summarizing ${v.videoId} in ${chunks.length} chunks (${transcript.length} chars).`);
+    const validation = { contract: SUMMARY_CONTRACT, valid: true, repairs: 0, chunks: chunks.length, attempts: [] };
+    const partials = [];
+    for (let i = 0; i < chunks.length; i++) {
+      const r = await requestSummaryJSON(backend, chunks[i], { videoId: v.videoId, part: i + 1, of: chunks.length });
+      validation.valid = validation.valid && r.validation.valid;
+      validation.repairs += r.validation.repairs;
+      validation.attempts.push(...r.validation.attempts);
+      partials.push(r.data);
+    }
+    // reduce: merge partials (levels/setups deduplicated)
+    const data = partials.length === 1 ? partials[0] : mergePartialSummaries(partials);
+    // nothing usable left → treat as a processing error so the retry queue picks it up again
+    if (!Array.isArray(data.tldr) || !data.tldr.length) {
+      return { ...v, bullets: [PENDING_BULLET], long: { error: true }, validation };
+    }
 
-    const tldr = Array.isArray(data.tldr) ? data.tldr.slice(0, 3) : [];
-    let long = data.long || {};
+    const tldr = Array.isArray(data.tldr) ? data.tldr.filter(x => typeof x === 'string').slice(0, 3) : [];
+    let long = data.long && typeof data.long === 'object' && !Array.isArray(data.long) ? data.long : {};
     long.notable_details = Array.isArray(long.notable_details) ? long.notable_details.slice(0, 6) : [];
 
     const cleanBullets = (tldr || []).map(postFix);
@@ -761,69 +1498,465 @@ ${transcript.slice(0, 6000)}`;
       });
     }
 
-    const serialized = (cleanBullets.join(' ') + ' ' + JSON.stringify(long));
-    const modelNums = serialized.match(/\$?\s*\d[\d,]*(?:\.\d+)?\s*[kKmM%]?/g) || [];
-    const hasUnseen = modelNums.some(n => !appearsInTranscriptHuman(n, transcript));
+    // every number is checked against the full transcript, not just the chunk it came from
+    const grounded = groundSummary(cleanBullets, long, transcript);
+    long = await filterImplausibleLevels(grounded.long, v.publishedAt);
+    return { ...v, bullets: grounded.bullets, long, validation };
+  } catch (e) {
+    console.warn('Summarization error:', e);
+    return { ...v, bullets: [PENDING_BULLET], long: { error: true } };
+  }
+}
+/* ============================================================
+   TIMESTAMPS — point bullets / levels / setups at the moment in the video
+   ============================================================ */
+function contentWords(s='') {
+  return new Set(tokenizeWords(s).map(w => w.replace(/\.+$/, '')).filter(w => w.length > 2 && !STOP.has(w)));
+}
+// Sliding windows of a few cues: a spoken sentence rarely fits in one caption line.
+// The leading cue is scored separately so a hit links to where it is said, not a few cues early.
+function segmentWindows(segments, size = 3) {
+  const out = [];
+  for (let i = 0; i < segments.length; i++) {
+    const text = segments.slice(i, i + size).map(s => s.text).join(' ');
+    out.push({
+      start: segments[i].start,
+      words: contentWords(text),
+      nums: parseNumericTokens(text).map(n => n.value),
+      lead: { words: contentWords(segments[i].text), nums: parseNumericTokens(segments[i].text).map(n => n.value) }
+    });
+  }
+  return out;
+}
+// Best-matching window start (seconds) or null. With requireNumber, a window only
+// qualifies if it mentions one of the claim's numbers (±1%) — used for price levels.
+function locateClaim(text, windows, { requireNumber = false } = {}) {
+  const words = contentWords(text);
+  const nums = parseNumericTokens(text).map(n => n.value).filter(n => n > 0);
+  if (!windows.length || (!words.size && !nums.length)) return null;
+  const score = part => {
+    const numHit = nums.some(n => part.nums.some(t => Math.abs(t - n) / Math.max(1, n) <= 0.01));
+    let sc = numHit ? 3 : 0;
+    for (const word of words) if (part.words.has(word)) sc += 1;
+    return { sc, numHit };
+  };
+  let best = null, bestScore = 0, bestBase = 0;
+  for (const w of windows) {
+    const { sc, numHit } = score(w);
+    if (requireNumber && !numHit) continue;
+    const total = sc + 0.5 * score(w.lead).sc;
+    if (total > bestScore) { best = w; bestScore = total; bestBase = sc; }
+  }
+  const minScore = requireNumber ? 3 : Math.max(2, Math.ceil(words.size * 0.3));
+  return best && bestBase >= minScore ? Math.floor(best.start) : null;
+}
+function attachTimestamps(s, segments=[]) {
+  if (!segments.length || s?.long?.skipped || s?.long?.error) return s;
+  const windows = segmentWindows(segments);
+  const long = { ...s.long };
+  if (Array.isArray(long.key_levels)) {
+    long.key_levels = long.key_levels.map(l => ({
+      ...l,
+      t: locateClaim(`${l.asset || ''} ${l.level || ''} ${l.notes || ''}`, windows, { requireNumber: true })
+    }));
+  }
+  if (Array.isArray(long.setups)) {
+    long.setups = long.setups.map(st => ({
+      ...st,
+      t: locateClaim(`${st.name || ''} ${st.thesis || ''} ${st.trigger || ''}`, windows)
+    }));
+  }
+  return { ...s, long, bulletTimes: (s.bullets || []).map(b => locateClaim(b, windows)) };
+}
 
-    if (hasUnseen) {
-      const scrub = s => String(s).replace(/\$?\s*\d[\d,]*(?:\.\d+)?\s*[kKmM%]?/g, 'x');
-      return {
-        ...v,
-        bullets: cleanBullets.map(scrub),
-        long: {
-          ...long,
-          context: scrub(long.context || ''),
-          takeaways: (long.takeaways || []).map(scrub),
-          catalysts: (long.catalysts || []).map(scrub),
-          key_levels: (long.key_levels || []).map(kl => ({ ...kl, level: scrub(kl.level || ''), notes: scrub(kl.notes || '') })),
-          notable_details: (long.notable_details || []).map(scrub),
-          note: 'Numerical details scrubbed — mismatch with transcript.'
-        }
-      };
-    }
+// refreshTranscript: skip the transcript cache (captions changed on YouTube since it was stored)
+async function summarizeItem(v, { refreshTranscript = false } = {}) {
+  const backend = getSummarizerBackend();
+  const summarizer = { mode: SUMMARIZER, model: backend?.model || '' };
+  let transcriptSource = '';
+  try {
+    const { text: transcript, source, segments } = await fetchTranscript(v.videoId, refreshTranscript ? { refresh: true } : undefined);
+    transcriptSource = source;
+    const s = backend
+      ? await summarizeWithLLM(v, transcript, backend)
+      : await summarizeFree(v, transcript);
+    return { ...attachTimestamps(s, segments), transcriptSource, summarizer };
+  } catch (e) {
+    console.warn('Summarize failed for', v.videoId, e?.message || e);
+    return { ...v, bullets: [PENDING_BULLET], long: { error: true }, transcriptSource, summarizer };
+  }
+}
+
+/* ============================================================
+   PER-VIDEO SUMMARY DATA — summaries/<slug>.json
+   Everything summaryHtml() needs, so pages can be rebuilt from JSON alone.
+   ============================================================ */
+const SUMMARY_SCHEMA_VERSION = 1;
+
+function summaryRecord(s, { slug, section = '' }) {
+  return {
+    schemaVersion: SUMMARY_SCHEMA_VERSION,
+    videoId: s.videoId,
+    title: s.title,
+    url: s.url,
+    publishedAt: s.publishedAt,
+    datePT: toPTDate(s.publishedAt),
+    section,
+    slug,                                 // file stem under summaries/ (= videoId since permalinks are stable)
+    permalink: `summaries/${slug}.html`,
+    bullets: s.bullets || [],
+    bulletTimes: s.bulletTimes || [],     // seconds into the video per bullet (null = not located)
+    long: s.long || {},                   // key_levels[] / setups[] may carry `t` (seconds) as well
+    transcriptSource: s.transcriptSource || '',
+    summarizer: s.summarizer || { mode: '', model: '' },
+    validation: s.validation || null,     // LLM schema check: { contract, valid, repairs, attempts:[{errors}] }
+    generatedAt: new Date().toISOString()
+  };
+}
+// Skipped/errored summaries have nothing worth gating, so they stay fully public
+const isMembersOnly = long => MEMBERS_ONLY && !long?.skipped && !long?.error;
+// What anyone may see: everything public aggregates (levels, setups, announcements) is built from this
+// (the teaser's counts stay with it so a sealed record still renders the same teaser)
+const MEMBERS_COUNTED = ['key_levels', 'setups', 'takeaways'];
+const publicRecord = rec => {
+  if (!isMembersOnly(rec.long) || rec.long.membersOnly) return rec;
+  const counts = Object.fromEntries(MEMBERS_COUNTED.map(k => [k, Array.isArray(rec.long[k]) ? rec.long[k].length : 0]));
+  return { ...rec, long: { membersOnly: true, counts } };
+};
+// members/summaries/<name>.enc; rewritten only when the content changed (a fresh IV would churn every file)
+async function writeMembersFile(name, content) {
+  const file = path.join(MEMBERS_SUMMARIES_DIR, `${name}.enc`);
+  const prev = await readOutput(file).catch(() => null);
+  if (prev != null && openMembersContent(prev, MEMBERS_KEY, name) === content) return;
+  await makeOutputDir(MEMBERS_SUMMARIES_DIR);
+  await writeOutput(file, sealMembersContent(content, MEMBERS_KEY, name));
+}
+let warnedSealed = false;
+async function readMembersFile(name) {
+  const sealed = await readOutput(path.join(MEMBERS_SUMMARIES_DIR, `${name}.enc`)).catch(() => null);
+  if (sealed == null) return null;
+  const plain = MEMBERS_KEY ? openMembersContent(sealed, MEMBERS_KEY, name) : null;
+  if (plain == null && !warnedSealed) {
+    warnedSealed = true;
+    console.warn(`Could not open ${path.relative(ROOT, MEMBERS_SUMMARIES_DIR)}/${name}.enc: ${MEMBERS_KEY ? 'wrong MEMBERS_KEY' : 'MEMBERS_KEY not set'}; those summaries keep their teaser.`);
+  }
+  return plain;
+}
+// A teaser whose sealed part could not be opened is left as it is (never re-sealed as the "full" record)
+const isSealedTeaser = rec => Boolean(rec.long?.membersOnly);
+async function writeSummaryFiles(record) {
+  if (isMembersOnly(record.long) && !isSealedTeaser(record)) {
+    // the public record keeps what the teaser shows; readSummaryRecord() merges the rest back in
+    await writeMembersFile(`${record.slug}.json`, JSON.stringify(record, null, 2));
+  }
+  await writeJSON(path.join(SUMMARIES_DIR, `${record.slug}.json`), publicRecord(record));
+  await writeSummaryPage(record);
+}
+// Public page (a teaser when MEMBERS_ONLY) + the members-only long-form fragment the teaser loads
+async function writeSummaryPage(record, setupOutcomes = []) {
+  await writeOutput(path.join(SUMMARIES_DIR, `${record.slug}.html`), summaryHtml({ ...record, setupOutcomes }));
+  if (isMembersOnly(record.long) && !isSealedTeaser(record)) {
+    await writeMembersFile(`${record.slug}.html`, summaryLongHtml({ ...record, setupOutcomes }));
+  }
+}
+// summaries/<slug>.json, with the members-only part merged back in when it was split off
+async function readSummaryRecord(file) {
+  const rec = await readJSONSafe(file);
+  if (!rec?.long?.membersOnly) return rec;
+  let full = null;
+  try { full = JSON.parse(await readMembersFile(path.basename(file))); } catch { /* sealed or missing */ }
+  return full?.videoId === rec.videoId ? full : rec;
+}
+
+/* ============================================================
+   PROCESSED CACHE — RETRY STATE MACHINE
+   status: ok | no-transcript | error
+   Failed entries carry attempts + nextRetryAt (exponential backoff);
+   nextRetryAt = null means "done" (ok) or "gave up" (attempts exhausted).
+   ============================================================ */
+function summaryStatus(s) {
+  if (s?.long?.skipped) return 'no-transcript';
+  if (s?.long?.error) return 'error';
+  return 'ok';
+}
+function nextRetryAt(attempts, from = Date.now()) {
+  if (attempts >= MAX_RETRY_ATTEMPTS) return null;
+  const hours = Math.min(RETRY_BASE_HOURS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_HOURS);
+  return new Date(from + hours * 3600 * 1000).toISOString();
+}
+// Older cache entries have no status: infer it from the bullets we published for them.
+// Failures found this way are due immediately so the backlog drains within the per-run cap.
+function migrateProcessedEntry(entry, indexItem) {
+  if (!entry || entry.status) return entry;
+  const bullets = indexItem?.bullets || [];
+  let status = 'ok';
+  if (bullets.includes(SKIPPED_BULLET)) status = 'no-transcript';
+  else if (bullets.includes(PENDING_BULLET)) status = 'error';
+  return {
+    ...entry,
+    status,
+    attempts: 1,
+    nextRetryAt: status === 'ok' ? null : new Date(0).toISOString()
+  };
+}
+function isRetryDue(entry, now = Date.now()) {
+  if (!entry || entry.status === 'ok' || !entry.nextRetryAt) return false;
+  return Date.parse(entry.nextRetryAt) <= now;
+}
+// Due retries come from the retry state itself, not the fetched playlist window: a failure that has
+// dropped out of MAX_PER_PLAYLIST is rebuilt from its processed entry. byId: videos fetched this run.
+function selectRetryVideos({ byId, processed, now = Date.now() }) {
+  return Object.entries(processed)
+    .filter(([, entry]) => isRetryDue(entry, now))
+    .map(([id, p]) => byId.get(id) || {
+      videoId: id, title: p.title || '', publishedAt: p.publishedAt || '', url: `https://youtu.be/${id}`,
+      sectionTitles: new Set(p.section ? [p.section] : [])
+    })
+    .sort((a,b)=> new Date(b.publishedAt) - new Date(a.publishedAt));
+}
+function processedEntryAfterAttempt(prev, s, section, fingerprint = prev?.fingerprint) {
+  const status = summaryStatus(s);
+  const attempts = (prev?.attempts || 0) + 1;
+  const now = Date.now();
+  return {
+    summarizedAt: new Date(now).toISOString(),
+    title: s.title,
+    publishedAt: s.publishedAt,
+    section,
+    status,
+    attempts,
+    nextRetryAt: status === 'ok' ? null : nextRetryAt(attempts, now),
+    ...(fingerprint ? { fingerprint } : {}),
+    ...(prev?.notifications ? { notifications: prev.notifications } : {}) // announced once, even if re-summarized
+  };
+}
+
+/* ============================================================
+   CONTENT FINGERPRINTS — edits made on YouTube after processing
+   fingerprint: { title, descriptionHash, captions: { tracks, etag, checkedAt } | null }
+   Title/description edits re-render the stored record; changed caption
+   tracks re-summarize with a fresh transcript. Entries without a
+   fingerprint yet are seeded, not refreshed.
+   ============================================================ */
+const CHANGELOG_MAX_ENTRIES = 500;
 
-    long = await filterImplausibleLevels(long);
-    return { ...v, bullets: cleanBullets, long };
+function hashText(s) {
+  return crypto.createHash('sha256').update(String(s)).digest('hex').slice(0, 16);
+}
+// RSS items carry no description, so a missing one is "unknown" (null), not a change
+function contentFingerprint(v, captions = null) {
+  return {
+    title: v.title || '',
+    descriptionHash: v.description ? hashText(v.description) : null,
+    captions
+  };
+}
+// Track list + per-track etags via the official API; null without OAuth or on failure
+async function fetchCaptionFingerprint(videoId) {
+  try {
+    const auth = await getYouTubeAuthFromEnv();
+    if (!auth) return null;
+    const youtube = google.youtube({ version: 'v3', auth });
+    const list = await youtube.captions.list({ part: ['snippet'], videoId });
+    const items = list.data.items || [];
+    return {
+      tracks: items.map(c => `${c.snippet?.language || '?'}/${(c.snippet?.trackKind || 'standard').toLowerCase()}`).sort(),
+      etag: hashText(items.map(c => `${c.id}:${c.etag || c.snippet?.lastUpdated || ''}`).sort().join('\n')),
+      checkedAt: new Date().toISOString()
+    };
   } catch (e) {
-    console.warn('Summarization error:', e);
-    return { ...v, bullets: ['Summary pending — processing error.'], long: { error: true } };
+    console.warn('Caption track check failed for', videoId, e?.response?.data || e.message || e);
+    return null;
+  }
+}
+function fingerprintChanges(prev, next) {
+  if (!prev) return [];
+  const out = [];
+  if (prev.title !== next.title) out.push({ field: 'title', from: prev.title, to: next.title });
+  if (prev.descriptionHash && prev.descriptionHash !== next.descriptionHash) {
+    out.push({ field: 'description', from: prev.descriptionHash, to: next.descriptionHash });
+  }
+  if (prev.captions && prev.captions.etag !== next.captions?.etag) {
+    out.push({ field: 'captions', from: prev.captions.tracks.join(', ') || 'none', to: next.captions.tracks.join(', ') || 'none' });
+  }
+  return out;
+}
+// Caption checks cost quota, so only CAPTION_CHECKS_PER_RUN videos are checked per run:
+// failed/no-transcript entries first (new captions can fix them), then the least recently checked.
+// → { fingerprints: Map<videoId, fingerprint>, rerender: [{ video, changes }], resummarize: [{ video, changes }] }
+async function detectContentChanges({ allVideos, processed }) {
+  const captionChecks = new Map();
+  if (CAPTION_CHECKS_PER_RUN > 0 && await getYouTubeAuthFromEnv()) {
+    const due = allVideos
+      .filter(v => processed[v.videoId])
+      .sort((a, b) => {
+        const pa = processed[a.videoId], pb = processed[b.videoId];
+        return (pa.status === 'ok') - (pb.status === 'ok') ||
+          String(pa.fingerprint?.captions?.checkedAt || '').localeCompare(String(pb.fingerprint?.captions?.checkedAt || ''));
+      })
+      .slice(0, CAPTION_CHECKS_PER_RUN);
+    for (const v of due) {
+      const got = await fetchCaptionFingerprint(v.videoId);
+      if (got) captionChecks.set(v.videoId, got);
+    }
+  }
+
+  const fingerprints = new Map();
+  const rerender = [], resummarize = [];
+  for (const v of allVideos) {
+    const prev = processed[v.videoId]?.fingerprint;
+    const fresh = contentFingerprint(v, captionChecks.get(v.videoId) || null);
+    // whatever this run couldn't observe carries over from the previous fingerprint
+    const next = {
+      ...fresh,
+      descriptionHash: fresh.descriptionHash ?? prev?.descriptionHash ?? null,
+      captions: fresh.captions ?? prev?.captions ?? null
+    };
+    fingerprints.set(v.videoId, next);
+    const changes = fingerprintChanges(prev, next);
+    if (!changes.length) continue;
+    (changes.some(c => c.field === 'captions') ? resummarize : rerender).push({ video: v, changes });
   }
+  return { fingerprints, rerender, resummarize };
+}
+// Title/description edits: patch the stored record and re-render its page (no transcript or model call).
+// Returns null when there is no record to re-render from (pages older than summaries/*.json).
+async function rerenderEdited(video) {
+  const rec = await readSummaryRecord(path.join(SUMMARIES_DIR, `${summarySlug(video.videoId)}.json`));
+  if (!rec?.videoId) return null;
+  const updated = { ...rec, title: video.title, refreshedAt: new Date().toISOString() };
+  await writeSummaryFiles(updated);
+  return updated;
 }
-async function summarizeItem(v) {
-  const transcript = await fetchTranscriptText(v.videoId);
-  if (FREE_MODE || !ai) return await summarizeFree(v, transcript);
-  return await summarizeWithOpenAI(v, transcript);
+function describeChange(c) {
+  return c.field === 'title' ? `title "${c.from}" → "${c.to}"` : c.field === 'captions' ? `captions [${c.from}] → [${c.to}]` : 'description edited';
+}
+// changelog.json: newest first, { at, videoId, title, action: re-rendered | re-summarized, changes:[{ field, from, to }] }
+async function appendChangelog(entries) {
+  if (!entries.length) return;
+  const log = (await readJSONSafe(OUT_CHANGELOG, null)) || { entries: [] };
+  log.updatedAt = new Date().toISOString();
+  log.entries = entries.concat(log.entries || []).slice(0, CHANGELOG_MAX_ENTRIES);
+  await writeJSON(OUT_CHANGELOG, log);
 }
 
 /* ============================================================
    HTML RENDER — PER-VIDEO + CONTENT PAGE (GROUPED)
    ============================================================ */
-function summaryHtml({ title, datePT, url, videoId, bullets, long }) {
-  const metaDesc = (bullets || []).join(' • ').slice(0, 155);
-  const og = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
+// schema.org VideoObject + Article for a summary page; `<` escaped so the JSON can't close the <script>
+function summaryJsonLd({ title, url, videoId, publishedAt, generatedAt, bullets, canonical }) {
+  const description = (bullets || []).join(' ');
+  const thumb = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
+  const video = {
+    '@type': 'VideoObject',
+    '@id': `${canonical}#video`,
+    name: title,
+    description: description || title,
+    thumbnailUrl: [thumb],
+    uploadDate: publishedAt,
+    contentUrl: url,
+    embedUrl: `https://www.youtube.com/embed/${videoId}`
+  };
+  const article = {
+    '@type': 'Article',
+    '@id': `${canonical}#article`,
+    headline: `${title} — Video Summary`.slice(0, 110),
+    description,
+    image: thumb,
+    datePublished: publishedAt,
+    dateModified: generatedAt || publishedAt,
+    mainEntityOfPage: canonical,
+    about: { '@id': `${canonical}#video` },
+    articleBody: description
+  };
+  return JSON.stringify({ '@context': 'https://schema.org', '@graph': [video, article] }).replace(/</g, '\\u003c');
+}
+// "jump to" link: seeks the embedded player (click handler in summaryHtml), or opens youtu.be/<id>?t= without JS
+function jumpLink(videoId, t) {
+  return Number.isFinite(t)
+    ? ` <a class="jump" href="https://youtu.be/${esc(videoId)}?t=${Math.floor(t)}" data-t="${Math.floor(t)}" target="_blank" rel="noopener">jump to ${fmtClock(t)}</a>`
+    : '';
+}
+// Everything below the TL;DR: public on the page, or the members-only fragment when MEMBERS_ONLY
+function summaryLongHtml({ videoId, long, setupOutcomes = [] }) {
+  const jump = t => jumpLink(videoId, t);
   const levels = Array.isArray(long?.key_levels) ? long.key_levels : [];
   const setups = Array.isArray(long?.setups) ? long.setups : [];
   const takeaways = Array.isArray(long?.takeaways) ? long.takeaways : [];
   const catalysts = Array.isArray(long?.catalysts) ? long.catalysts : [];
   const notableDetails = Array.isArray(long?.notable_details) ? long.notable_details : [];
+  const removed = Array.isArray(long?.grounding?.removed) ? long.grounding.removed : [];
+  const verifiedMark = l => l.verified
+    ? ` <span class="verified" title="${esc(l.evidence?.quote ? `Transcript: ${l.evidence.quote}` : 'Found in transcript')}">✓ verified against transcript</span>`
+    : '';
 
   const levelsHtml = levels.length
     ? `<table style="width:100%;border-collapse:collapse;margin-top:.5rem">
         <thead><tr><th>Asset</th><th>Level</th><th>Role</th><th>Notes</th></tr></thead>
-        <tbody>${levels.map(l => `<tr><td>${esc(l.asset||'')}</td><td>${esc(l.level||'')}</td><td>${esc(l.direction||'')}</td><td>${esc(l.notes||'')}</td></tr>`).join('')}</tbody>
+        <tbody>${levels.map(l => `<tr><td>${esc(l.asset||'')}</td><td>${esc(l.level||'')}${verifiedMark(l)}${jump(l.t)}</td><td>${esc(l.direction||'')}</td><td>${esc(l.notes||'')}</td></tr>`).join('')}</tbody>
       </table>` : '<p style="color:#9aa3b2">No explicit levels.</p>';
 
   const setupsHtml = setups.length
-    ? `<ul>${setups.map(s => `<li><strong>${esc(s.name||'')}</strong> — ${esc(s.thesis||'')}
+    ? `<ul>${setups.map((s, i) => `<li><strong>${esc(s.name||'')}</strong>${setupStatusHtml(setupOutcomes[i])}${jump(s.t)} — ${esc(s.thesis||'')}
         <br><em>Trigger:</em> ${esc(s.trigger||'')} · <em>Invalidation:</em> ${esc(s.invalidation||'')} · <em>Targets:</em> ${esc(s.targets||'')}</li>`).join('')}</ul>`
     : '<p style="color:#9aa3b2">No explicit setups.</p>';
 
-  return `<!doctype html><html lang="en"><head>
-<meta charset="utf-8"><title>${esc(title)} — Video Summary</title>
-<meta name="description" content="${esc(metaDesc)}">
+  return `<div id="long-form">
+  <h3>Context</h3><p>${esc(long?.context || '—')}</p>
+  <h3>Key Levels</h3>${levelsHtml}
+  <h3>Setups</h3>${setupsHtml}
+  <h3>Takeaways</h3>${takeaways.length ? `<ul>${takeaways.map(t => `<li>${esc(t)}</li>`).join('')}</ul>` : '<p style="color:#9aa3b2">—</p>'}
+  ${catalysts.length ? `<h3>Catalysts</h3><p>${esc(catalysts.join(' • '))}</p>` : ''}
+  <h3>Notable Details</h3>
+  ${
+    notableDetails.length
+      ? `<ul>${notableDetails.map(d => `<li>${esc(d)}</li>`).join('')}</ul>`
+      : '<p style="color:#9aa3b2">—</p>'
+  }
+  ${removed.length ? `<details class="removed"><summary>Removed during verification (${removed.length})</summary>
+    <ul>${removed.map(r => `<li><code>${esc(r.value)}</code> in ${esc(r.field)} — ${esc(r.reason)}</li>`).join('')}</ul></details>` : ''}
+</div>`;
+}
+// Teaser for MEMBERS_ONLY: counts only, placeholder rows under a blur (no real numbers reach the page).
+// Members' browsers hold a token from the checkout thank-you page and swap in the fragment.
+function lockedLongHtml({ videoId, long }) {
+  const count = k => long?.counts?.[k] ?? (Array.isArray(long?.[k]) ? long[k].length : 0);
+  const rows = Math.min(Math.max(count('key_levels'), 2), 5);
+  return `<div id="long-form" class="locked" data-video-id="${esc(videoId)}">
+  <div class="blur" aria-hidden="true">
+    <h3>Key Levels</h3>
+    <table style="width:100%"><tbody>${'<tr><td>███</td><td>██,███</td><td>██████</td><td>████████████</td></tr>'.repeat(rows)}</tbody></table>
+    <h3>Setups</h3><ul><li>████████ — ██████████████ · ████ ██ · █████</li></ul>
+  </div>
+  <div class="lock">
+    <p>🔒 Members get the full breakdown: ${count('key_levels')} key level(s), ${count('setups')} setup(s), ${count('takeaways')} takeaway(s) and the context behind them.</p>
+    <a class="btn" href="../index.html#buy">Subscribe to unlock</a>
+  </div>
+</div>`;
+}
+
+function summaryHtml({ title, datePT, url, videoId, bullets, bulletTimes, long, permalink, slug, publishedAt, generatedAt, setupOutcomes = [] }) {
+  const canonical = `${SITE_URL}/${permalink || `summaries/${slug}.html`}`;
+  const jump = t => jumpLink(videoId, t);
+  const metaDesc = (bullets || []).join(' • ').slice(0, 155);
+  const og = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
+  const longHtml = isMembersOnly(long)
+    ? lockedLongHtml({ videoId, long })
+    : summaryLongHtml({ videoId, long, setupOutcomes });
+  return `<!doctype html><html lang="en"><head>
+<meta charset="utf-8"><title>${esc(title)} — Video Summary</title>
+<meta name="description" content="${esc(metaDesc)}">
 <meta property="og:title" content="${esc(title)} — Video Summary">
 <meta property="og:description" content="${esc(metaDesc)}">
 <meta property="og:image" content="${og}">
+<meta property="og:type" content="article">
+<meta property="og:url" content="${esc(canonical)}">
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:title" content="${esc(title)} — Video Summary">
+<meta name="twitter:description" content="${esc(metaDesc)}">
+<meta name="twitter:image" content="${og}">
+<link rel="canonical" href="${esc(canonical)}">
+<script type="application/ld+json">${summaryJsonLd({ title, url, videoId, publishedAt, generatedAt, bullets, canonical })}</script>
 <meta name="viewport" content="width=device-width, initial-scale=1">
 <link rel="icon" href="../favicon.ico">
 <link rel="preconnect" href="https://fonts.googleapis.com"><link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
@@ -839,52 +1972,100 @@ ul{color:#cbd2dd}table{color:#cbd2dd;font-size:.9rem}th{text-align:left;color:#9
 a.btn{display:inline-flex;gap:.5rem;align-items:center;border:1px solid rgba(255,255,255,.08);border-radius:10px;padding:.55rem .85rem;color:#fff;text-decoration:none;margin-top:.5rem}
 .grid{display:grid;grid-template-columns:1fr;gap:.75rem}
 @media(min-width:640px){.grid{grid-template-columns:repeat(2,1fr)}}
+a.jump{color:#9aa3b2;font-size:.8rem;white-space:nowrap;margin-left:.35rem}
+.status{display:inline-block;border:1px solid;border-radius:999px;padding:.05rem .5rem;font-size:.75rem;white-space:nowrap;margin-left:.35rem}
+.locked{position:relative;margin-top:1rem}.locked .blur{filter:blur(5px);user-select:none;pointer-events:none;opacity:.6}
+.locked .lock{position:absolute;inset:0;display:flex;flex-direction:column;align-items:center;justify-content:center;text-align:center;padding:1rem}
+.verified{color:#4ade80;font-size:.75rem;white-space:nowrap;margin-left:.35rem;cursor:help}
+details.removed{color:#9aa3b2;font-size:.85rem;margin-top:1rem}details.removed summary{cursor:pointer}
 </style>
 </head><body><div class="container">
 <a class="btn" href="../summaries.html">← All summaries</a>
 <article class="card" style="margin-top:1rem">
-  <div class="thumb"><iframe src="https://www.youtube.com/embed/${videoId}?rel=0&modestbranding=1" title="${esc(title)}" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share" allowfullscreen loading="lazy"></iframe></div>
+  <div class="thumb"><iframe id="player" src="https://www.youtube.com/embed/${videoId}?rel=0&modestbranding=1" title="${esc(title)}" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share" allowfullscreen loading="lazy"></iframe></div>
   <h1>${esc(title)}</h1>
   <p class="meta">Published: ${esc(datePT)} (PT) · <a class="btn" href="${esc(url)}" target="_blank" rel="noopener">Watch on YouTube</a></p>
-  <h3>TL;DR</h3><ul>${(bullets || []).map(b => `<li>${esc(b)}</li>`).join('')}</ul>
-  <h3>Context</h3><p>${esc(long?.context || '—')}</p>
-  <h3>Key Levels</h3>${levelsHtml}
-  <h3>Setups</h3>${setupsHtml}
-  <h3>Takeaways</h3>${takeaways.length ? `<ul>${takeaways.map(t => `<li>${esc(t)}</li>`).join('')}</ul>` : '<p style="color:#9aa3b2">—</p>'}
-  ${catalysts.length ? `<h3>Catalysts</h3><p>${esc(catalysts.join(' • '))}</p>` : ''}
-  <h3>Notable Details</h3>
-  ${
-    notableDetails.length
-      ? `<ul>${notableDetails.map(d => `<li>${esc(d)}</li>`).join('')}</ul>`
-      : '<p style="color:#9aa3b2">—</p>'
-  }
-</article></div></body></html>`;
+  <h3>TL;DR</h3><ul>${(bullets || []).map((b, i) => `<li>${esc(b)}${jump(bulletTimes?.[i])}</li>`).join('')}</ul>
+  ${longHtml}
+</article></div>
+<script>
+// "jump to" links seek the embedded player; without JS they open youtu.be/<id>?t=
+document.addEventListener('click', e => {
+  const a = e.target.closest('a.jump');
+  const player = document.getElementById('player');
+  if (!a || !player) return;
+  e.preventDefault();
+  player.src = 'https://www.youtube.com/embed/${videoId}?rel=0&modestbranding=1&autoplay=1&start=' + a.dataset.t;
+  player.scrollIntoView({ behavior: 'smooth', block: 'center' });
+});
+// members: swap the teaser for the full long form (token from thankyou.html, checked by tools/site-server.mjs).
+// Relative to this page (summaries/<id>.html) so it also works under a project subpath.
+(() => {
+  const locked = document.querySelector('#long-form.locked');
+  const token = localStorage.getItem('memberToken');
+  if (!locked || !token) return;
+  fetch('../members/summaries/' + encodeURIComponent(locked.dataset.videoId) + '.html', { headers: { Authorization: 'Bearer ' + token } })
+    .then(res => {
+      if (res.status === 401 || res.status === 403) localStorage.removeItem('memberToken');
+      return res.ok ? res.text() : null;
+    })
+    .then(html => { if (html) locked.outerHTML = html; })
+    .catch(() => {});
+})();
+</script>
+</body></html>`;
 }
 // Content page (tabs per playlist)
-function contentPageHtml(sections) {
+function contentPageHtml(sections, { levelAssets = [], searchTickers = [], setupTotals = null } = {}) {
   // sections: [{title, items:[{title,datePT,permalink,url,videoId,bullets}]}]
+  const searchBar = `
+  <form class="search" id="search" role="search" onsubmit="return false">
+    <input type="search" name="q" placeholder="Search titles, bullets, takeaways…" aria-label="Search summaries">
+    <select name="ticker" aria-label="Ticker"><option value="">All tickers</option>${searchTickers.map(t => `<option>${esc(t)}</option>`).join('')}</select>
+    <select name="section" aria-label="Section"><option value="">All sections</option>${sections.map(s => `<option>${esc(s.title)}</option>`).join('')}</select>
+    <label>From <input type="date" name="from"></label>
+    <label>To <input type="date" name="to"></label>
+    <button type="reset" class="tab">Clear</button>
+  </form>
+  <p class="meta" id="search-count" hidden></p>
+  <div class="grid" id="search-results" hidden></div>`;
+  const levelsNav = levelAssets.length
+    ? `<p class="meta">Key level history: ${levelAssets.map(a => `<a class="btn" href="levels/${esc(a)}.html">${esc(a)}</a>`).join('')}</p>`
+    : '';
+  const setupsNav = setupTotals?.tracked
+    ? `<p class="meta">Setup tracker: <a class="btn" href="setups.html">${setupTotals.targetHit}/${setupTotals.targetHit + setupTotals.invalidated} targets hit${setupTotals.hitRate == null ? '' : ` (${Math.round(setupTotals.hitRate * 100)}%)`}</a></p>`
+    : '';
   const tabs = sections.map((s,i) =>
     `<button class="tab${i===0?' active':''}" data-tab="tab-${i}">${esc(s.title)} (${s.items.length})</button>`
   ).join('');
-  const panes = sections.map((s,i) => `
-    <div class="pane${i===0?' show':''}" id="tab-${i}">
+  // Only page 1 of each section is inlined (readable without JS); the rest streams in from index/<section>/page-N.json
+  const panes = sections.map((s,i) => {
+    const pages = Math.max(1, Math.ceil(s.items.length / SUMMARIES_PAGE_SIZE));
+    return `
+    <div class="pane${i===0?' show':''}" id="tab-${i}" data-shards="index/${sectionSlug(s.title)}" data-pages="${pages}" data-loaded="1">
       <div class="grid">
-        ${s.items.map(it => `
+        ${s.items.slice(0, SUMMARIES_PAGE_SIZE).map(it => `
           <article class="card">
-            <div class="thumb"><img src="https://img.youtube.com/vi/${it.videoId}/hqdefault.jpg" alt="${esc(it.title)}" style="width:100%;height:auto;border:0"/></div>
+            <div class="thumb"><img loading="lazy" src="https://img.youtube.com/vi/${it.videoId}/hqdefault.jpg" alt="${esc(it.title)}" style="width:100%;height:auto;border:0"/></div>
             <h3 style="margin:.5rem 0">${esc(it.title)}</h3>
             <p class="meta">${esc(it.datePT)} · <a class="btn" href="${esc(it.url)}" target="_blank" rel="noopener">Watch</a> · <a class="btn" href="${esc(it.permalink)}">Summary</a></p>
             ${it.bullets?.length ? `<ul>${it.bullets.map(b => `<li>${esc(b)}</li>`).join('')}</ul>` : ''}
           </article>
         `).join('')}
       </div>
+      ${pages > 1 ? `<p class="more"><button type="button" class="load-more">Load more (${s.items.length - SUMMARIES_PAGE_SIZE} more)</button></p>` : ''}
     </div>
-  `).join('');
+  `;
+  }).join('');
 
   return `<!doctype html><html lang="en"><head>
 <meta charset="utf-8"><title>Video Summaries</title>
 <meta name="viewport" content="width=device-width, initial-scale=1">
 <link rel="icon" href="./favicon.ico">
+<link rel="canonical" href="${esc(`${SITE_URL}/summaries.html`)}">
+<link rel="alternate" type="application/atom+xml" title="Video Summaries" href="feed.xml">
+<link rel="alternate" type="application/feed+json" title="Video Summaries" href="feed.json">
+${sections.map(s => `<link rel="alternate" type="application/atom+xml" title="Video Summaries — ${esc(s.title)}" href="feeds/${sectionSlug(s.title)}.xml">`).join('\n')}
 <link rel="preconnect" href="https://fonts.googleapis.com"><link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
 <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700;800&display=swap" rel="stylesheet">
 <style>
@@ -892,10 +2073,16 @@ body{background:#0b0c10;color:#fff;font-family:Inter,system-ui,-apple-system,Seg
 .container{max-width:1100px;margin:0 auto;padding:2rem 1.25rem}
 h1{font-size:2rem;margin:0 0 1rem}
 .tabs{display:flex;gap:.5rem;flex-wrap:wrap;margin-bottom:1rem}
-.tab{background:transparent;border:1px solid rgba(255,255,255,.15);color:#fff;border-radius:999px;padding:.4rem .9rem;cursor:pointer}
+.tab,.load-more{background:transparent;border:1px solid rgba(255,255,255,.15);color:#fff;border-radius:999px;padding:.4rem .9rem;cursor:pointer}
 .tab.active{background:rgba(255,255,255,.1)}
 .pane{display:none}
 .pane.show{display:block}
+.search{display:flex;gap:.5rem;flex-wrap:wrap;align-items:center;margin-bottom:1rem;color:#9aa3b2;font-size:.9rem}
+.search input,.search select{background:rgba(255,255,255,.04);border:1px solid rgba(255,255,255,.15);color:#fff;border-radius:10px;padding:.4rem .6rem;font:inherit}
+.search input[type=search]{flex:1 1 260px}
+body.searching .tabs,body.searching .pane{display:none}
+.more{text-align:center;margin:1rem 0}
+[hidden]{display:none!important}
 .grid{display:grid;grid-template-columns:1fr;gap:1rem}
 @media(min-width:760px){.grid{grid-template-columns:repeat(2,1fr)}}
 .card{background:linear-gradient(180deg,rgba(255,255,255,.04),rgba(255,255,255,.02));border:1px solid rgba(255,255,255,.08);border-radius:16px;box-shadow:0 10px 30px rgba(0,0,0,.35);padding:1rem}
@@ -908,29 +2095,1145 @@ ul{color:#cbd2dd}
 </head><body>
 <div class="container">
   <h1>Video Summaries</h1>
+  ${levelsNav}
+  ${setupsNav}
+  ${searchBar}
   <div class="tabs">${tabs}</div>
   ${panes}
 </div>
 <script>
-document.querySelectorAll('.tab').forEach(btn=>{
+// only real tabs switch panes (the search Clear button shares the .tab look)
+document.querySelectorAll('.tab[data-tab]').forEach(btn=>{
   btn.addEventListener('click', ()=>{
-    document.querySelectorAll('.tab').forEach(b=>b.classList.remove('active'));
+    document.querySelectorAll('.tab[data-tab]').forEach(b=>b.classList.remove('active'));
     document.querySelectorAll('.pane').forEach(p=>p.classList.remove('show'));
     btn.classList.add('active');
     const id = btn.getAttribute('data-tab');
     document.getElementById(id).classList.add('show');
   });
 });
+
+function esc(s){ return String(s == null ? '' : s).replace(/[&<>"]/g, function(m){ return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[m]; }); }
+function card(it, extraMeta){
+  return '<article class="card">' +
+    '<div class="thumb"><img loading="lazy" src="https://img.youtube.com/vi/' + esc(it.videoId) + '/hqdefault.jpg" alt="' + esc(it.title) + '"/></div>' +
+    '<h3 style="margin:.5rem 0">' + esc(it.title) + '</h3>' +
+    '<p class="meta">' + esc(it.datePT) + (extraMeta ? ' · ' + esc(extraMeta) : '') + ' · <a class="btn" href="' + esc(it.url) + '" target="_blank" rel="noopener">Watch</a> · <a class="btn" href="' + esc(it.permalink) + '">Summary</a></p>' +
+    (it.bullets && it.bullets.length ? '<ul>' + it.bullets.map(function(b){ return '<li>' + esc(b) + '</li>'; }).join('') + '</ul>' : '') +
+    '</article>';
+}
+
+// ===== Pagination (index/<section>/page-N.json shards, appended on click or when scrolled into view) =====
+document.querySelectorAll('.pane[data-shards]').forEach(function(pane){
+  var btn = pane.querySelector('.load-more');
+  if (!btn) return;
+  var grid = pane.querySelector('.grid');
+  var busy = false;
+  function next(){
+    var loaded = Number(pane.dataset.loaded), pages = Number(pane.dataset.pages);
+    if (busy || loaded >= pages || !pane.classList.contains('show')) return;
+    busy = true;
+    fetch(pane.dataset.shards + '/page-' + (loaded + 1) + '.json', { cache: 'no-store' })
+      .then(function(r){ if (!r.ok) throw new Error('HTTP ' + r.status); return r.json(); })
+      .then(function(shard){
+        grid.insertAdjacentHTML('beforeend', shard.items.map(function(it){ return card(it); }).join(''));
+        pane.dataset.loaded = String(loaded + 1);
+        var left = shard.total - (loaded + 1) * shard.pageSize;
+        if (loaded + 1 >= pages) btn.parentNode.remove();
+        else btn.textContent = 'Load more (' + left + ' more)';
+      })
+      .catch(function(e){ console.warn('Shard load failed:', e); btn.textContent = 'Retry loading more'; })
+      .then(function(){ busy = false; });
+  }
+  btn.addEventListener('click', next);
+  if ('IntersectionObserver' in window) {
+    new IntersectionObserver(function(entries){
+      if (entries.some(function(e){ return e.isIntersecting; })) next();
+    }, { rootMargin: '600px 0px' }).observe(btn);
+  }
+});
+
+// ===== Search (search-index.json, loaded on first use; state mirrored in the query string) =====
+(function(){
+  var form = document.getElementById('search');
+  var out = document.getElementById('search-results');
+  var count = document.getElementById('search-count');
+  var FIELDS = ['q', 'ticker', 'section', 'from', 'to'];
+  var docs = null;
+
+  function state(){
+    var st = {};
+    FIELDS.forEach(function(f){ st[f] = (form.elements[f].value || '').trim(); });
+    return st;
+  }
+  function load(){
+    if (docs) return Promise.resolve(docs);
+    return fetch('search-index.json', { cache: 'no-store' })
+      .then(function(r){ return r.json(); })
+      .then(function(j){
+        docs = (j.docs || []).map(function(d){ d.hay = (d.t + ' ' + d.x).toLowerCase(); d.tl = d.t.toLowerCase(); return d; });
+        return docs;
+      });
+  }
+  function docCard(d){
+    return card({ videoId: d.id, title: d.t, datePT: d.d, url: d.u, permalink: d.p, bullets: d.b }, d.s.join(', '));
+  }
+  function apply(){
+    var st = state();
+    var qs = new URLSearchParams();
+    FIELDS.forEach(function(f){ if (st[f]) qs.set(f, st[f]); });
+    history.replaceState(null, '', qs.toString() ? '?' + qs.toString() : location.pathname);
+
+    var active = FIELDS.some(function(f){ return st[f]; });
+    document.body.classList.toggle('searching', active);
+    out.hidden = count.hidden = !active;
+    if (!active) return;
+
+    load().then(function(all){
+      var terms = st.q.toLowerCase().split(/\\s+/).filter(Boolean);
+      var hits = [];
+      all.forEach(function(d){
+        if (st.ticker && d.k.indexOf(st.ticker) === -1) return;
+        if (st.section && d.s.indexOf(st.section) === -1) return;
+        if (st.from && d.d < st.from) return;
+        if (st.to && d.d > st.to) return;
+        var score = 0;
+        for (var i = 0; i < terms.length; i++) {
+          if (d.hay.indexOf(terms[i]) === -1) return;
+          score += d.tl.indexOf(terms[i]) !== -1 ? 3 : 1;
+        }
+        hits.push({ d: d, score: score });
+      });
+      hits.sort(function(a, b){ return (b.score - a.score) || (a.d.d < b.d.d ? 1 : -1); });
+      count.textContent = hits.length + ' result' + (hits.length === 1 ? '' : 's');
+      out.innerHTML = hits.map(function(h){ return docCard(h.d); }).join('');
+    }).catch(function(e){
+      count.textContent = 'Search index unavailable.';
+      console.warn(e);
+    });
+  }
+
+  var initial = new URLSearchParams(location.search);
+  FIELDS.forEach(function(f){ if (initial.get(f)) form.elements[f].value = initial.get(f); });
+  var timer;
+  form.addEventListener('input', function(){ clearTimeout(timer); timer = setTimeout(apply, 150); });
+  form.addEventListener('reset', function(){ setTimeout(apply, 0); });
+  if (FIELDS.some(function(f){ return initial.get(f); })) apply();
+})();
 </script>
 </body></html>`;
 }
 
+/* ============================================================
+   PAGINATED SHARDS — index/<section-slug>/page-N.json for summaries.html
+   ============================================================ */
+function sectionSlug(title='') {
+  return slugify(title) || 'section';
+}
+async function writeIndexShards(indexSections) {
+  // Rewritten from scratch each build so shrinking sections don't leave stale pages behind
+  await removeOutputDir(SHARDS_DIR);
+  for (const sec of indexSections) {
+    const dir = path.join(SHARDS_DIR, sectionSlug(sec.title));
+    await makeOutputDir(dir);
+    const pages = Math.max(1, Math.ceil(sec.items.length / SUMMARIES_PAGE_SIZE));
+    for (let page = 1; page <= pages; page++) {
+      await writeOutput(path.join(dir, `page-${page}.json`), JSON.stringify({
+        section: sec.title,
+        page,
+        pages,
+        pageSize: SUMMARIES_PAGE_SIZE,
+        total: sec.items.length,
+        items: sec.items.slice((page - 1) * SUMMARIES_PAGE_SIZE, page * SUMMARIES_PAGE_SIZE)
+      }));
+    }
+  }
+}
+
+/* ============================================================
+   SEARCH INDEX — search-index.json for the summaries.html search box
+   docs: [{ id, t:title, d:datePT, s:[sections], p:permalink, u:url, k:[tickers], b:[bullets], x:searchable text }]
+   ============================================================ */
+function tickersIn(text='') {
+  const out = new Set();
+  for (const m of String(text).matchAll(/\$?\b([A-Z]{2,5})\b/g)) {
+    if (TICKER_WHITELIST.has(m[1])) out.add(m[1]);
+  }
+  return out;
+}
+function buildSearchIndex(indexSections, recordById) {
+  const byId = new Map();
+  for (const sec of indexSections) {
+    for (const it of sec.items) {
+      if (byId.has(it.videoId)) { byId.get(it.videoId).s.push(sec.title); continue; }
+      const rec = recordById.get(it.videoId);
+      const long = rec?.long || {};
+      // placeholder bullets ("Transcript unavailable…") are not worth matching on
+      const bullets = (it.bullets || []).filter(b => b !== SKIPPED_BULLET && b !== PENDING_BULLET);
+      // members-only long form stays out of the public search index
+      const text = MEMBERS_ONLY ? bullets.join(' ') : [
+        ...bullets,
+        ...(Array.isArray(long.takeaways) ? long.takeaways : []),
+        ...(Array.isArray(long.notable_details) ? long.notable_details : []),
+        ...(Array.isArray(long.setups) ? long.setups.map(st => `${st.name || ''} ${st.thesis || ''}`) : [])
+      ].join(' ').replace(/\s+/g, ' ').trim();
+      const tickers = tickersIn(`${it.title} ${text}`);
+      for (const l of (Array.isArray(long.key_levels) ? long.key_levels : [])) {
+        if (TICKER_WHITELIST.has(l.asset)) tickers.add(l.asset);
+      }
+      byId.set(it.videoId, {
+        id: it.videoId,
+        t: it.title,
+        d: it.datePT,
+        s: [sec.title],
+        p: it.permalink,
+        u: it.url,
+        k: Array.from(tickers).sort(),
+        b: it.bullets || [],
+        x: text
+      });
+    }
+  }
+  const docs = Array.from(byId.values()).sort((a, b) => (a.d < b.d ? 1 : -1));
+  return { generatedAt: new Date().toISOString(), docs };
+}
+
+/* ============================================================
+   FEEDS — Atom (feed.xml) + JSON Feed 1.1 (feed.json), all videos and per section
+   feeds/<section-slug>.xml|.json
+   ============================================================ */
+function feedEntries(items, { recordById, processed }) {
+  return items
+    // nothing to announce for placeholders ("Transcript unavailable…")
+    .filter(it => (it.bullets || []).some(b => b !== SKIPPED_BULLET && b !== PENDING_BULLET))
+    .map(it => {
+      const publishedAt = recordById.get(it.videoId)?.publishedAt || processed[it.videoId]?.publishedAt || `${it.datePT}T00:00:00Z`;
+      return {
+        ...it,
+        publishedAt: new Date(publishedAt).toISOString(),
+        updatedAt: new Date(processed[it.videoId]?.summarizedAt || publishedAt).toISOString(),
+        datePT: toPTDate(publishedAt),
+        link: `${SITE_URL}/${it.permalink}`,
+        image: `https://img.youtube.com/vi/${it.videoId}/hqdefault.jpg`
+      };
+    })
+    .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+    .slice(0, FEED_MAX_ITEMS);
+}
+function feedContentHtml(e) {
+  return `<p>Published: ${esc(e.datePT)} (PT)</p><ul>${e.bullets.map(b => `<li>${esc(b)}</li>`).join('')}</ul>` +
+    `<p><a href="${esc(e.link)}">Full summary</a> · <a href="${esc(e.url)}">Watch on YouTube</a></p>`;
+}
+function atomFeedXml({ title, selfPath, entries }) {
+  const updated = entries.reduce((max, e) => (e.updatedAt > max ? e.updatedAt : max), new Date(0).toISOString());
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${esc(title)}</title>
+  <id>${esc(`${SITE_URL}/${selfPath}`)}</id>
+  <link rel="self" type="application/atom+xml" href="${esc(`${SITE_URL}/${selfPath}`)}"/>
+  <link rel="alternate" type="text/html" href="${esc(`${SITE_URL}/summaries.html`)}"/>
+  <updated>${updated}</updated>
+${entries.map(e => `  <entry>
+    <title>${esc(e.title)}</title>
+    <id>yt:video:${esc(e.videoId)}</id>
+    <link rel="alternate" type="text/html" href="${esc(e.link)}"/>
+    <link rel="related" type="text/html" href="${esc(e.url)}"/>
+    <link rel="enclosure" type="image/jpeg" href="${esc(e.image)}"/>
+    <published>${e.publishedAt}</published>
+    <updated>${e.updatedAt}</updated>
+    <summary>${esc(e.bullets.join(' • '))}</summary>
+    <content type="html">${esc(feedContentHtml(e))}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+function jsonFeed({ title, selfPath, entries }) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: `${SITE_URL}/summaries.html`,
+    feed_url: `${SITE_URL}/${selfPath}`,
+    items: entries.map(e => ({
+      id: `yt:video:${e.videoId}`,
+      url: e.link,
+      external_url: e.url,
+      title: e.title,
+      summary: e.bullets.join(' • '),
+      content_html: feedContentHtml(e),
+      content_text: e.bullets.map(b => `• ${b}`).join('\n'),
+      image: e.image,
+      date_published: e.publishedAt,
+      date_modified: e.updatedAt,
+      _video: { videoId: e.videoId, datePT: e.datePT, sections: e.sections }
+    }))
+  };
+}
+async function writeFeeds(indexSections, ctx) {
+  // all-videos feed: one entry per video, remembering every section it appears in
+  const all = new Map();
+  for (const sec of indexSections) {
+    for (const it of sec.items) {
+      if (!all.has(it.videoId)) all.set(it.videoId, { ...it, sections: [] });
+      all.get(it.videoId).sections.push(sec.title);
+    }
+  }
+  const feeds = [{ title: 'Video Summaries', slug: 'feed', dir: ROOT, entries: feedEntries(Array.from(all.values()), ctx) }];
+  for (const sec of indexSections) {
+    const slug = sectionSlug(sec.title);
+    feeds.push({
+      title: `Video Summaries — ${sec.title}`,
+      slug,
+      dir: FEEDS_DIR,
+      entries: feedEntries(sec.items.map(it => all.get(it.videoId)), ctx)
+    });
+  }
+  await makeOutputDir(FEEDS_DIR);
+  for (const f of feeds) {
+    const base = path.relative(ROOT, path.join(f.dir, f.slug)).split(path.sep).join('/');
+    await writeOutput(path.join(f.dir, `${f.slug}.xml`), atomFeedXml({ ...f, selfPath: `${base}.xml` }));
+    await writeJSON(path.join(f.dir, `${f.slug}.json`), jsonFeed({ ...f, selfPath: `${base}.json` }));
+  }
+}
+
+/* ============================================================
+   SITEMAP + ROBOTS — sitemap.xml (lastmod = summarizedAt) and robots.txt
+   ============================================================ */
+function sitemapXml(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(u => `  <url><loc>${esc(u.loc)}</loc>${u.lastmod ? `<lastmod>${esc(u.lastmod)}</lastmod>` : ''}</url>`).join('\n')}
+</urlset>
+`;
+}
+async function writeSitemap(indexSections, { processed, levelAssets, hasSetups = false, docSlugs = [] }) {
+  const seen = new Set();
+  const summaries = [];
+  for (const sec of indexSections) {
+    for (const it of sec.items) {
+      if (seen.has(it.permalink)) continue;
+      seen.add(it.permalink);
+      const at = processed[it.videoId]?.summarizedAt;
+      summaries.push({ loc: `${SITE_URL}/${it.permalink}`, lastmod: at ? new Date(at).toISOString() : '' });
+    }
+  }
+  const newest = summaries.reduce((max, u) => (u.lastmod > max ? u.lastmod : max), '');
+  const urls = [
+    { loc: `${SITE_URL}/`, lastmod: '' },
+    { loc: `${SITE_URL}/summaries.html`, lastmod: newest },
+    ...levelAssets.map(a => ({ loc: `${SITE_URL}/levels/${a}.html`, lastmod: newest })),
+    ...(hasSetups ? [{ loc: `${SITE_URL}/setups.html`, lastmod: newest }] : []),
+    ...(docSlugs.length ? ['index', ...docSlugs].map(s => ({ loc: `${SITE_URL}/docs/${s}.html`, lastmod: '' })) : []),
+    ...summaries
+  ];
+  await writeOutput(OUT_SITEMAP, sitemapXml(urls));
+  await writeOutput(OUT_ROBOTS, `User-agent: *\nAllow: /\n\nSitemap: ${SITE_URL}/sitemap.xml\n`);
+}
+
+/* ============================================================
+   LEVEL TRACKER — key levels aggregated across videos, per asset
+   levels.json + levels/<ASSET>.html
+   ============================================================ */
+function fmtLevel(key) {
+  return Number(key).toLocaleString('en-US', { maximumFractionDigits: 8 });
+}
+function aggregateLevels(records) {
+  const assets = {}; // ASSET -> Map(levelKey -> entry)
+  const chronological = records
+    .filter(r => Array.isArray(r.long?.key_levels))
+    .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+  for (const rec of chronological) {
+    for (const l of rec.long.key_levels) {
+      const asset = String(l.asset || '').toUpperCase();
+      if (!TICKER_WHITELIST.has(asset)) continue;
+      for (const key of new Set(levelKeys(l.level))) {
+        if (!assets[asset]) assets[asset] = new Map();
+        const entry = assets[asset].get(key) || { value: Number(key), display: fmtLevel(key), calls: [] };
+        // one call per video; a repeated row in the same video just refines the role/notes
+        if (entry.calls.some(c => c.videoId === rec.videoId)) continue;
+        entry.calls.push({
+          videoId: rec.videoId,
+          title: rec.title,
+          datePT: rec.datePT,
+          permalink: rec.permalink,
+          raw: String(l.level || ''),
+          direction: String(l.direction || '').toLowerCase(),
+          notes: l.notes || '',
+          t: Number.isFinite(l.t) ? l.t : null
+        });
+        assets[asset].set(key, entry);
+      }
+    }
+  }
+
+  const out = { generatedAt: new Date().toISOString(), assets: {} };
+  for (const asset of Object.keys(assets).sort()) {
+    out.assets[asset] = Array.from(assets[asset].values())
+      .map(e => {
+        const roles = { support: 0, resistance: 0, pivot: 0 };
+        for (const c of e.calls) if (c.direction in roles) roles[c.direction]++;
+        const withRole = e.calls.filter(c => c.direction);
+        return {
+          value: e.value,
+          display: e.display,
+          count: e.calls.length,
+          firstCalled: e.calls[0].datePT,
+          lastCalled: e.calls[e.calls.length - 1].datePT,
+          roles,
+          currentRole: withRole.length ? withRole[withRole.length - 1].direction : '',
+          calls: e.calls
+        };
+      })
+      .sort((a, b) => b.value - a.value);
+  }
+  return out;
+}
+function levelsPageHtml(asset, levels, allAssets) {
+  const roleColor = { support: '#2ecc71', resistance: '#ff5c5c', pivot: '#f5c542' };
+  const pill = c => `<a class="pill" href="../${esc(c.permalink)}" title="${esc(c.title)} — ${esc(c.notes || c.raw)}" style="border-color:${roleColor[c.direction] || 'rgba(255,255,255,.15)'}">${esc(c.datePT)}${c.direction ? ' · ' + esc(c.direction) : ''}</a>`;
+  const rows = levels.map(l => `<tr>
+      <td><strong>${esc(l.display)}</strong></td>
+      <td>${l.count}</td>
+      <td>${esc(l.firstCalled)}</td>
+      <td>${esc(l.lastCalled)}</td>
+      <td style="color:${roleColor[l.currentRole] || '#9aa3b2'}">${esc(l.currentRole || '—')}</td>
+      <td>${l.calls.map(pill).join(' ')}</td>
+    </tr>`).join('');
+  const nav = allAssets.map(a => a === asset
+    ? `<strong class="pill">${esc(a)}</strong>`
+    : `<a class="pill" href="./${esc(a)}.html">${esc(a)}</a>`).join(' ');
+
+  return `<!doctype html><html lang="en"><head>
+<meta charset="utf-8"><title>${esc(asset)} Key Levels — History</title>
+<meta name="description" content="${esc(`${asset} key levels called across ${levels.reduce((n, l) => n + l.count, 0)} video mentions: first called, repeats and support/resistance role over time.`)}">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<link rel="icon" href="../favicon.ico">
+<link rel="preconnect" href="https://fonts.googleapis.com"><link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700;800&display=swap" rel="stylesheet">
+<style>
+body{background:#0b0c10;color:#fff;font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.6;margin:0}
+.container{max-width:1100px;margin:0 auto;padding:2rem 1.25rem}
+.card{background:linear-gradient(180deg,rgba(255,255,255,.04),rgba(255,255,255,.02));border:1px solid rgba(255,255,255,.08);border-radius:16px;box-shadow:0 10px 30px rgba(0,0,0,.35);padding:1rem;overflow-x:auto}
+h1{font-size:2rem;margin:.5rem 0}p.meta{color:#9aa3b2;margin:.25rem 0 1rem}
+table{width:100%;border-collapse:collapse;color:#cbd2dd;font-size:.9rem}
+th{text-align:left;color:#9aa3b2;font-weight:600}td,th{padding:.4rem .5rem;border-bottom:1px solid rgba(255,255,255,.06);vertical-align:top}
+a.btn{display:inline-flex;gap:.5rem;align-items:center;border:1px solid rgba(255,255,255,.08);border-radius:10px;padding:.55rem .85rem;color:#fff;text-decoration:none}
+.pill{display:inline-block;border:1px solid rgba(255,255,255,.15);border-radius:999px;padding:.1rem .5rem;margin:.1rem 0;color:#cbd2dd;text-decoration:none;font-size:.8rem;white-space:nowrap}
+</style>
+</head><body><div class="container">
+<a class="btn" href="../summaries.html">← All summaries</a>
+<h1>${esc(asset)} key levels</h1>
+<p class="meta">Every ${esc(asset)} level called across the video summaries, highest first. Repeats are counted once per video.</p>
+<p>${nav}</p>
+<div class="card">
+  <table>
+    <thead><tr><th>Level</th><th>Times called</th><th>First called</th><th>Last called</th><th>Latest role</th><th>Role over time</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</div>
+</div></body></html>`;
+}
+async function writeLevelOutputs(levels) {
+  await writeJSON(OUT_LEVELS, levels);
+  await makeOutputDir(LEVELS_DIR);
+  const assets = Object.keys(levels.assets);
+  for (const asset of assets) {
+    await writeOutput(path.join(LEVELS_DIR, `${asset}.html`), levelsPageHtml(asset, levels.assets[asset], assets));
+  }
+}
+
+/* ============================================================
+   SETUP TRACKER — called setups checked against local OHLC candles
+   ohlc/<ASSET>.csv (e.g. ohlc/BTC.csv): header with time|timestamp|date,
+   open, high, low, close; time as ISO date or unix seconds/ms.
+   Outcome: pending → triggered → target-hit | invalidated (untracked when
+   the setup has no usable prices or there is no data for its asset).
+   Parsing + evaluation live in tools/setup-tracker.mjs.
+   ============================================================ */
+const SETUP_STATUS_LABEL = {
+  pending: 'Pending', triggered: 'Triggered', 'target-hit': 'Target hit', invalidated: 'Invalidated', untracked: 'Not tracked'
+};
+const SETUP_STATUS_COLOR = { pending: '#9aa3b2', triggered: '#f5c542', 'target-hit': '#2ecc71', invalidated: '#ff5c5c', untracked: '#5b6270' };
+
+async function loadOhlc(dir = OHLC_DIR) {
+  const out = {}; // ASSET -> candles[]
+  let files = [];
+  try { files = await fs.readdir(dir); } catch { return out; }
+  for (const f of files.filter(f => /\.csv$/i.test(f))) {
+    const asset = path.basename(f, path.extname(f)).toUpperCase();
+    const candles = parseOhlcCsv(await fs.readFile(path.join(dir, f), 'utf8'));
+    if (candles.length) out[asset] = candles;
+  }
+  return out;
+}
+
+// Ticker named in the setup itself, else the video's only key-level asset
+function setupAsset(setup, rec, ohlc) {
+  const named = [...tickersIn([setup.name, setup.thesis, setup.trigger, setup.targets].join(' '))];
+  const fromLevels = [...new Set((rec.long?.key_levels || []).map(l => String(l.asset || '').toUpperCase()).filter(Boolean))];
+  const candidates = named.length ? named : (fromLevels.length === 1 ? fromLevels : []);
+  return candidates.find(a => ohlc[a]) || candidates[0] || '';
+}
+function trackSetups(records, ohlc) {
+  const setups = [];
+  const chronological = records
+    .filter(r => Array.isArray(r.long?.setups) && r.long.setups.length)
+    .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+  for (const rec of chronological) {
+    rec.long.setups.forEach((st, index) => {
+      const asset = setupAsset(st, rec, ohlc);
+      const outcome = !asset ? { status: 'untracked', reason: 'no asset' }
+        : !ohlc[asset] ? { status: 'untracked', reason: `no OHLC data for ${asset}` }
+        : evaluateSetup(st, ohlc[asset], new Date(rec.publishedAt).getTime());
+      setups.push({
+        videoId: rec.videoId, title: rec.title, datePT: rec.datePT, permalink: rec.permalink || `summaries/${rec.slug}.html`,
+        index, name: st.name || '', asset, ...outcome
+      });
+    });
+  }
+  const tally = list => {
+    const count = s => list.filter(x => x.status === s).length;
+    const t = { setups: list.length, tracked: list.filter(x => x.status !== 'untracked').length, pending: count('pending'), triggered: count('triggered'), targetHit: count('target-hit'), invalidated: count('invalidated') };
+    const resolved = t.targetHit + t.invalidated;
+    return { ...t, hitRate: resolved ? Number((t.targetHit / resolved).toFixed(4)) : null };
+  };
+  const byAsset = {};
+  for (const a of [...new Set(setups.map(s => s.asset).filter(a => ohlc[a]))].sort()) byAsset[a] = tally(setups.filter(s => s.asset === a));
+  return { generatedAt: new Date().toISOString(), totals: tally(setups), byAsset, setups };
+}
+function setupStatusHtml(o) {
+  if (!o) return '';
+  const when = o.resolvedAt || o.triggeredAt;
+  const title = o.reason || (when ? `${SETUP_STATUS_LABEL[o.status]} ${when.slice(0, 10)}` : '');
+  return ` <span class="status" style="border-color:${SETUP_STATUS_COLOR[o.status]};color:${SETUP_STATUS_COLOR[o.status]}"${title ? ` title="${esc(title)}"` : ''}>${esc(SETUP_STATUS_LABEL[o.status])}</span>`;
+}
+function setupsPageHtml(report) {
+  const pct = r => (r == null ? '—' : `${Math.round(r * 100)}%`);
+  const summaryRow = (label, t) => `<tr><td><strong>${esc(label)}</strong></td><td>${t.tracked}</td><td>${t.pending}</td><td>${t.triggered}</td><td>${t.targetHit}</td><td>${t.invalidated}</td><td>${pct(t.hitRate)}</td></tr>`;
+  const rows = report.setups.slice().reverse().map(s => `<tr>
+      <td>${esc(s.datePT || '')}</td>
+      <td><a href="${esc(s.permalink)}">${esc(s.name || s.title)}</a></td>
+      <td>${esc(s.asset || '—')}</td>
+      <td>${esc(s.side || '')}</td>
+      <td>${s.trigger ?? '—'}</td><td>${s.invalidation ?? '—'}</td><td>${(s.targets || []).join(', ') || '—'}</td>
+      <td>${setupStatusHtml(s)}</td>
+    </tr>`).join('');
+
+  return `<!doctype html><html lang="en"><head>
+<meta charset="utf-8"><title>Trade Setups — Outcomes &amp; Hit Rate</title>
+<meta name="description" content="${esc(`${report.totals.setups} trade setups called in the videos, checked against price history: ${report.totals.targetHit} hit target, ${report.totals.invalidated} invalidated.`)}">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<link rel="icon" href="favicon.ico">
+<link rel="preconnect" href="https://fonts.googleapis.com"><link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700;800&display=swap" rel="stylesheet">
+<style>
+body{background:#0b0c10;color:#fff;font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.6;margin:0}
+.container{max-width:1100px;margin:0 auto;padding:2rem 1.25rem}
+.card{background:linear-gradient(180deg,rgba(255,255,255,.04),rgba(255,255,255,.02));border:1px solid rgba(255,255,255,.08);border-radius:16px;box-shadow:0 10px 30px rgba(0,0,0,.35);padding:1rem;overflow-x:auto;margin-bottom:1rem}
+h1{font-size:2rem;margin:.5rem 0}p.meta{color:#9aa3b2;margin:.25rem 0 1rem}
+table{width:100%;border-collapse:collapse;color:#cbd2dd;font-size:.9rem}
+th{text-align:left;color:#9aa3b2;font-weight:600}td,th{padding:.4rem .5rem;border-bottom:1px solid rgba(255,255,255,.06);vertical-align:top}
+td a{color:#cbd2dd}
+a.btn{display:inline-flex;gap:.5rem;align-items:center;border:1px solid rgba(255,255,255,.08);border-radius:10px;padding:.55rem .85rem;color:#fff;text-decoration:none}
+.status{display:inline-block;border:1px solid;border-radius:999px;padding:.05rem .5rem;font-size:.75rem;white-space:nowrap}
+</style>
+</head><body><div class="container">
+<a class="btn" href="summaries.html">← All summaries</a>
+<h1>Trade setups</h1>
+<p class="meta">Every setup called in a video, checked against price candles from the publish date on. Hit rate = target hit ÷ (target hit + invalidated); when one candle spans both, it counts as invalidated.</p>
+<div class="card">
+  <table>
+    <thead><tr><th></th><th>Tracked</th><th>Pending</th><th>Triggered</th><th>Target hit</th><th>Invalidated</th><th>Hit rate</th></tr></thead>
+    <tbody>${summaryRow('All', report.totals)}${Object.entries(report.byAsset).map(([a, t]) => summaryRow(a, t)).join('')}</tbody>
+  </table>
+</div>
+<div class="card">
+  <table>
+    <thead><tr><th>Date</th><th>Setup</th><th>Asset</th><th>Side</th><th>Trigger</th><th>Invalidation</th><th>Targets</th><th>Status</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</div>
+</div></body></html>`;
+}
+// Summary pages are re-rendered with each setup's status (outcomes move as new candles arrive)
+// `report` is published; `outcomesReport` (full records when MEMBERS_ONLY) feeds the per-video outcome rows
+async function writeSetupOutputs(report, records, outcomesReport = report) {
+  if (report.totals.tracked) {
+    await writeJSON(OUT_SETUPS, report);
+    await writeOutput(OUT_SETUPS_PAGE, setupsPageHtml(report));
+  }
+  const byVideo = new Map();
+  for (const s of outcomesReport.setups) {
+    if (!byVideo.has(s.videoId)) byVideo.set(s.videoId, []);
+    byVideo.get(s.videoId)[s.index] = s;
+  }
+  for (const rec of records) {
+    const outcomes = byVideo.get(rec.videoId);
+    if (!outcomes || outcomes.every(o => o.status === 'untracked')) continue;
+    await writeSummaryPage(rec, outcomes);
+  }
+}
+
+/* ============================================================
+   INDICATOR DOCS — tools/docs/<slug>.md → docs/<slug>.html, docs/index.html, docs.json
+   related videos: a doc's keywords found in video titles (count double) and takeaways
+   ============================================================ */
+// Front matter is flat `key: value` lines between `---`; keywords is a comma list
+function parseDocSource(raw, slug) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---[^\n]*\n?/.exec(raw);
+  const meta = {};
+  for (const line of (m ? m[1] : '').split(/\r?\n/)) {
+    const kv = /^([\w-]+):\s*(.*)$/.exec(line.trim());
+    if (kv) meta[kv[1]] = kv[2].trim();
+  }
+  return {
+    slug,
+    title: meta.title || '',
+    nav: meta.nav || meta.title || '',
+    order: Number(meta.order) || 0,
+    anchor: meta.anchor || `doc-${slug}`, // homepage card id (old index.html#doc-… links keep working)
+    image: meta.image || '',
+    summary: meta.summary || '',
+    keywords: (meta.keywords || '').split(',').map(k => k.trim()).filter(Boolean),
+    body: m ? raw.slice(m[0].length) : raw
+  };
+}
+// read directly (not readOutput): these are sources, never staged by --dry-run
+async function loadDocs() {
+  const files = (await fs.readdir(DOCS_SOURCE_DIR).catch(() => [])).filter(f => /^[a-z0-9-]+\.md$/.test(f)).sort();
+  const docs = [];
+  for (const f of files) {
+    const doc = parseDocSource(await fs.readFile(path.join(DOCS_SOURCE_DIR, f), 'utf8'), f.slice(0, -3));
+    const problems = [!doc.title && 'no title', !doc.keywords.length && 'no keywords', doc.slug === 'index' && '"index" is the hub page'].filter(Boolean);
+    if (problems.length) {
+      console.warn(`Skipping doc ${path.relative(ROOT, path.join(DOCS_SOURCE_DIR, f))}: ${problems.join(', ')}.`);
+      continue;
+    }
+    docs.push(doc);
+  }
+  return docs.sort((a, b) => a.order - b.order || a.slug.localeCompare(b.slug));
+}
+
+// Doc sources link from the site root; pages live one level down in docs/
+const docHref = href => (/^(?:[a-z][\w+.-]*:|\/|#)/i.test(href) ? href : `../${href}`);
+function docInlineHtml(s) {
+  return esc(s)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, text, href) => `<a href="${docHref(href)}">${text}</a>`);
+}
+// Just enough markdown for the docs: ##–#### headings, paragraphs, `- ` lists, a media line per block
+function docBodyHtml(md) {
+  return md.trim().split(/\r?\n\s*\r?\n/).map(block => {
+    const lines = block.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const heading = /^(#{2,4})\s+(.+)$/.exec(lines[0]);
+    if (heading && lines.length === 1) return `<h${heading[1].length}>${docInlineHtml(heading[2])}</h${heading[1].length}>`;
+    const media = /^!\[([^\]]*)\]\(([^)\s]+)\)$/.exec(lines.join(' '));
+    if (media) {
+      const [, alt, src] = media;
+      const clip = /\.(mp4|webm)$/i.exec(src);
+      return clip
+        ? `<video autoplay loop muted playsinline aria-label="${esc(alt)}"><source src="${esc(docHref(src))}" type="video/${clip[1].toLowerCase()}"></video>`
+        : `<img src="${esc(docHref(src))}" alt="${esc(alt)}" loading="lazy">`;
+    }
+    if (/^- /.test(lines[0])) {
+      const items = [];
+      for (const l of lines) {
+        if (/^- /.test(l)) items.push(l.slice(2));
+        else items[items.length - 1] += ` ${l}`; // wrapped list item
+      }
+      return `<ul>${items.map(i => `<li>${docInlineHtml(i)}</li>`).join('')}</ul>`;
+    }
+    return `<p>${docInlineHtml(lines.join(' '))}</p>`;
+  }).join('\n');
+}
+
+// Every summarized video: index items (title only) + summary records (title + takeaways)
+function docCandidates(records, indexSections) {
+  const byId = new Map();
+  for (const sec of indexSections) {
+    for (const it of sec.items) {
+      if (!byId.has(it.videoId)) byId.set(it.videoId, { videoId: it.videoId, title: it.title, datePT: it.datePT, permalink: it.permalink, takeaways: [] });
+    }
+  }
+  for (const rec of records) {
+    byId.set(rec.videoId, {
+      videoId: rec.videoId,
+      title: rec.title,
+      datePT: rec.datePT,
+      permalink: rec.permalink || `summaries/${rec.slug}.html`,
+      takeaways: Array.isArray(rec.long?.takeaways) ? rec.long.takeaways.map(String) : []
+    });
+  }
+  return Array.from(byId.values());
+}
+function relatedVideos(doc, candidates) {
+  const matchers = doc.keywords.map(keyword => ({ keyword, re: new RegExp(`\\b${aliasPattern(keyword)}(?:e?s)?\\b`, 'i') }));
+  const related = [];
+  for (const { takeaways, ...v } of candidates) {
+    let score = 0;
+    const matched = [];
+    for (const { keyword, re } of matchers) {
+      const hits = (re.test(v.title || '') ? 2 : 0) + takeaways.filter(t => re.test(t)).length;
+      if (!hits) continue;
+      score += hits;
+      matched.push(keyword);
+    }
+    if (score) related.push({ ...v, matched, score });
+  }
+  return related
+    .sort((a, b) => b.score - a.score || String(b.datePT).localeCompare(String(a.datePT)))
+    .slice(0, DOCS_RELATED_MAX);
+}
+
+const DOCS_PAGE_CSS = `
+:root{--bg:#0b0c10;--accent:#00ffd1;--border:rgba(255,255,255,.08)}
+*{box-sizing:border-box}
+body{background:var(--bg);color:#fff;font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.6;margin:0}
+a{color:var(--accent)}
+.container{max-width:1120px;margin:0 auto;padding:2rem 1.25rem}
+a.btn{display:inline-flex;gap:.5rem;align-items:center;border:1px solid var(--border);border-radius:10px;padding:.55rem .85rem;color:#fff;text-decoration:none;font-weight:600}
+a.btn-primary{background:linear-gradient(90deg,#14e1b7,#6a5cff);border:0}
+.top{display:flex;gap:.5rem;flex-wrap:wrap;margin-bottom:1rem}
+.docs{display:grid;grid-template-columns:260px 1fr;gap:1rem}
+.sidebar{position:sticky;top:1rem;align-self:start;border:1px solid var(--border);border-radius:12px;background:rgba(255,255,255,.03);padding:.75rem}
+.sidebar h4{font-size:.95rem;color:#cbd2dd;margin:.25rem .35rem}
+.sidebar a{display:block;padding:.45rem .6rem;border-radius:8px;color:#cfe7ff;text-decoration:none}
+.sidebar a:hover,.sidebar a[aria-current]{background:rgba(255,255,255,.06)}
+.doc,.card{border:1px solid var(--border);border-radius:12px;background:rgba(255,255,255,.03);padding:1rem}
+.doc h1{font-size:2rem;line-height:1.15;margin:.25rem 0 .75rem}
+.doc p,.doc li{color:#cbd2dd}
+.doc img,.doc video{width:100%;border-radius:12px;border:1px solid var(--border);margin:.5rem 0}
+.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(240px,1fr));gap:1rem;margin-top:.75rem}
+.card{padding:0;overflow:hidden;text-decoration:none;color:#fff;display:flex;flex-direction:column}
+.card img{width:100%;aspect-ratio:16/9;object-fit:cover;border-bottom:1px solid var(--border)}
+.card .body{padding:.75rem .9rem 1rem}
+.card h3{font-size:1rem;margin:0 0 .35rem}
+.card p{color:#aeb6c4;font-size:.9rem;margin:0}
+.pill{display:inline-block;border:1px solid rgba(255,255,255,.15);border-radius:999px;padding:.1rem .5rem;margin:.35rem .25rem 0 0;color:#cfe7ff;font-size:.75rem}
+.muted{color:#9aa3b2}
+@media (max-width:920px){.docs{grid-template-columns:1fr}.sidebar{position:static}}
+`;
+function docsHead({ title, description, canonical }) {
+  return `<!doctype html><html lang="en"><head>
+<meta charset="utf-8"><title>${esc(title)}</title>
+<meta name="description" content="${esc(description)}">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<link rel="canonical" href="${esc(canonical)}">
+<link rel="icon" href="../favicon.ico">
+<link rel="preconnect" href="https://fonts.googleapis.com"><link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700;800&display=swap" rel="stylesheet">
+<style>${DOCS_PAGE_CSS}</style>
+</head>`;
+}
+function relatedCardHtml(v) {
+  return `<a class="card" href="../${esc(v.permalink)}">
+  <img loading="lazy" src="https://img.youtube.com/vi/${esc(v.videoId)}/mqdefault.jpg" alt="">
+  <div class="body"><h3>${esc(v.title)}</h3><p>${esc(v.datePT || '')}</p>${v.matched.map(k => `<span class="pill">${esc(k)}</span>`).join('')}</div>
+</a>`;
+}
+function docPageHtml(doc, docs) {
+  const sidebar = docs.map(d => `<a href="./${esc(d.slug)}.html"${d.slug === doc.slug ? ' aria-current="page"' : ''}>${esc(d.nav)}</a>`).join('\n    ');
+  const related = doc.related.length
+    ? `<div class="grid">${doc.related.map(relatedCardHtml).join('\n')}</div>`
+    : '<p class="muted">No summarized videos cover this yet — new ones are picked up automatically.</p>';
+  return `${docsHead({ title: `${doc.title} — FIBs Suite Docs`, description: doc.summary || doc.title, canonical: `${SITE_URL}/docs/${doc.slug}.html` })}
+<body><div class="container">
+<div class="top"><a class="btn" href="../index.html#docs">← Home</a><a class="btn" href="./index.html">All docs</a><a class="btn btn-primary" href="../index.html#buy">Get the FIBs Suite</a></div>
+<div class="docs">
+  <aside class="sidebar">
+    <h4>Topics</h4>
+    ${sidebar}
+  </aside>
+  <div>
+    <article class="doc">
+      <h1>${esc(doc.title)}</h1>
+${docBodyHtml(doc.body)}
+    </article>
+    <section class="doc" style="margin-top:1rem">
+      <h2>Related videos</h2>
+      <p class="muted">Summaries that mention ${doc.keywords.slice(0, 4).map(k => esc(k)).join(', ')}${doc.keywords.length > 4 ? '…' : ''}.</p>
+      ${related}
+    </section>
+  </div>
+</div>
+</div></body></html>`;
+}
+function docsHubHtml(docs) {
+  const cards = docs.map(d => `<a class="card" href="./${esc(d.slug)}.html">
+  ${d.image ? `<img loading="lazy" src="${esc(docHref(d.image))}" alt="${esc(d.title)}">` : ''}
+  <div class="body"><h3>${esc(d.title)}</h3><p>${esc(d.summary)}</p><span class="pill">${d.related.length} related video${d.related.length === 1 ? '' : 's'}</span></div>
+</a>`).join('\n');
+  return `${docsHead({ title: 'FIBs Suite Docs', description: 'How each FIBs Suite indicator works, with the video breakdowns that use it.', canonical: `${SITE_URL}/docs/index.html` })}
+<body><div class="container">
+<div class="top"><a class="btn" href="../index.html">← Home</a><a class="btn" href="../summaries.html">All summaries</a></div>
+<h1>Documentation</h1>
+<p class="muted">How each indicator works, with the video summaries that put it to use.</p>
+<div class="grid">${cards}</div>
+</div></body></html>`;
+}
+async function writeDocsOutputs(records, indexSections) {
+  const candidates = docCandidates(records, indexSections);
+  const docs = (await loadDocs()).map(d => ({ ...d, related: relatedVideos(d, candidates) }));
+  await writeJSON(OUT_DOCS, {
+    docs: docs.map(({ body, order, ...d }) => ({ ...d, href: `docs/${d.slug}.html` }))
+  });
+  if (!docs.length) return [];
+  await makeOutputDir(DOCS_DIR);
+  for (const doc of docs) await writeOutput(path.join(DOCS_DIR, `${doc.slug}.html`), docPageHtml(doc, docs));
+  await writeOutput(path.join(DOCS_DIR, 'index.html'), docsHubHtml(docs));
+  // a renamed or deleted source takes its page with it
+  const current = new Set([...docs.map(d => `${d.slug}.html`), 'index.html']);
+  for (const f of await listOutputDir(DOCS_DIR)) {
+    if (f.endsWith('.html') && !current.has(f)) await removeOutput(path.join(DOCS_DIR, f));
+  }
+  return docs.map(d => d.slug);
+}
+
+/* ============================================================
+   PERMALINKS — summaries/<videoId>.html, stable across title changes.
+   Older date-title slugs keep working as redirect stubs (redirects.json);
+   pages no index entry points at are reported, or deleted with --gc.
+   ============================================================ */
+const summarySlug = videoId => videoId;
+const summaryPermalink = videoId => `summaries/${summarySlug(videoId)}.html`;
+
+function redirectStubHtml(to) {
+  const target = `${SITE_URL}/${to}`;
+  return `<!doctype html><html lang="en"><head>
+<meta charset="utf-8"><title>Moved</title>
+<meta http-equiv="refresh" content="0; url=../${esc(to)}">
+<link rel="canonical" href="${esc(target)}">
+<meta name="robots" content="noindex">
+<script>location.replace('../${esc(to)}' + location.hash);</script>
+</head><body><p>This summary moved to <a href="../${esc(to)}">${esc(target)}</a>.</p></body></html>
+`;
+}
+let redirectMap = null; // "summaries/<old>.html" -> "summaries/<videoId>.html"
+async function loadRedirects() {
+  redirectMap ??= (await readJSONSafe(OUT_REDIRECTS, {})) || {};
+  return redirectMap;
+}
+async function addRedirect(from, to) {
+  if (from === to) return;
+  (await loadRedirects())[from] = to;
+}
+
+// Records written under a date-title slug move to summaries/<videoId>.json (latest one wins)
+async function migrateSummaryRecords() {
+  const records = await readSummaryRecords();
+  const latest = latestRecordByVideo(records);
+  for (const rec of records) {
+    if (rec.slug === summarySlug(rec.videoId)) continue;
+    await addRedirect(`summaries/${rec.slug}.html`, summaryPermalink(rec.videoId));
+    await removeOutput(path.join(SUMMARIES_DIR, `${rec.slug}.json`));
+    await removeOutput(path.join(MEMBERS_SUMMARIES_DIR, `${rec.slug}.json.enc`));
+    await removeOutput(path.join(MEMBERS_SUMMARIES_DIR, `${rec.slug}.html.enc`));
+  }
+  for (const rec of latest.values()) {
+    if (rec.slug === summarySlug(rec.videoId)) continue;
+    await writeSummaryFiles({ ...rec, slug: summarySlug(rec.videoId), permalink: summaryPermalink(rec.videoId) });
+  }
+}
+// One card per video per section, every card on the stable permalink. Legacy pages
+// without a JSON record are copied over (they can't be re-rendered).
+async function stabilizeIndex(indexSections) {
+  for (const sec of indexSections) {
+    const seen = new Set();
+    sec.items = sec.items.filter(it => it?.videoId && !seen.has(it.videoId) && seen.add(it.videoId));
+    for (const it of sec.items) {
+      const stable = summaryPermalink(it.videoId);
+      if (it.permalink === stable) continue;
+      if (it.permalink) {
+        const legacy = path.join(ROOT, it.permalink);
+        const target = path.join(ROOT, stable);
+        const hasTarget = await readOutput(target).then(() => true, () => false);
+        if (!hasTarget) {
+          const html = await readOutput(legacy).catch(() => null);
+          // canonical / og:url must name the new address, not the redirect
+          if (html) await writeOutput(target, html.split(`${SITE_URL}/${it.permalink}`).join(`${SITE_URL}/${stable}`));
+        }
+        await addRedirect(it.permalink, stable);
+      }
+      it.permalink = stable;
+    }
+  }
+}
+const embeddedVideoId = html => (String(html).match(/youtube\.com\/embed\/([\w-]{11})/) || [])[1] || '';
+async function writeRedirectsAndCollectGarbage(indexSections) {
+  const redirects = await loadRedirects();
+  const referenced = new Set(indexSections.flatMap(sec => sec.items.map(it => it.permalink)));
+  // unreferenced pages that embed a video we still link to are old slugs of that video
+  const orphans = [];
+  for (const f of (await listOutputDir(SUMMARIES_DIR)).filter(f => f.endsWith('.html')).sort()) {
+    const rel = `summaries/${f}`;
+    if (referenced.has(rel) || redirects[rel]) continue;
+    const id = embeddedVideoId(await readOutput(path.join(SUMMARIES_DIR, f)).catch(() => ''));
+    if (id && referenced.has(summaryPermalink(id))) await addRedirect(rel, summaryPermalink(id));
+    else orphans.push(rel);
+  }
+  for (const [from, to] of Object.entries(redirects)) {
+    if (referenced.has(from)) { delete redirects[from]; continue; } // a live page again
+    await writeOutput(path.join(ROOT, from), redirectStubHtml(to));
+  }
+  await writeJSON(OUT_REDIRECTS, redirects);
+
+  if (!orphans.length) return;
+  if (GC_SUMMARIES) {
+    for (const rel of orphans) {
+      await removeOutput(path.join(ROOT, rel));
+      await removeOutput(path.join(ROOT, rel.replace(/\.html$/, '.json')));
+    }
+    console.log(`GC: removed ${orphans.length} orphaned summary page(s).`);
+  } else {
+    console.log(`GC: ${orphans.length} summary page(s) not referenced by the index (run with --gc to delete):`);
+    for (const rel of orphans.slice(0, 20)) console.log(`  - ${rel}`);
+    if (orphans.length > 20) console.log(`  … and ${orphans.length - 20} more`);
+  }
+}
+
+/* ============================================================
+   SITE OUTPUTS — shared by the full build and the offline rebuild
+   ============================================================ */
+function indexItemFromRecord(rec) {
+  return {
+    title: rec.title,
+    datePT: rec.datePT || toPTDate(rec.publishedAt),
+    url: rec.url,
+    videoId: rec.videoId,
+    bullets: rec.bullets || [],
+    permalink: rec.permalink || `summaries/${rec.slug}.html`
+  };
+}
+function latestFromCandidates(candidates) {
+  const newest = candidates
+    .slice()
+    .sort((a,b)=> new Date(b.publishedAt) - new Date(a.publishedAt))[0];
+  return newest
+    ? { title: newest.title, datePT: newest.datePT, url: newest.url, videoId: newest.videoId, bullets: newest.bullets || [] }
+    : { title: '', datePT: '', url: '', videoId: '', bullets: [] };
+}
+async function readSummaryRecords() {
+  const files = await listOutputDir(SUMMARIES_DIR);
+  const out = [];
+  for (const f of files.filter(f => f.endsWith('.json')).sort()) {
+    const rec = await readSummaryRecord(path.join(SUMMARIES_DIR, f));
+    if (!rec?.videoId || !rec.slug) continue;
+    if (rec.schemaVersion > SUMMARY_SCHEMA_VERSION) {
+      console.warn(`Skipping ${f}: schemaVersion ${rec.schemaVersion} is newer than this builder (${SUMMARY_SCHEMA_VERSION}).`);
+      continue;
+    }
+    out.push(rec);
+  }
+  return out;
+}
+// A renamed video can leave several records behind; the most recently generated one wins
+function latestRecordByVideo(records) {
+  const byId = new Map();
+  for (const rec of records) {
+    const prev = byId.get(rec.videoId);
+    if (!prev || String(rec.generatedAt || '') > String(prev.generatedAt || '')) byId.set(rec.videoId, rec);
+  }
+  return byId;
+}
+async function writeSiteOutputs({ indexSections, latest, processed = {} }) {
+  await stabilizeIndex(indexSections);
+  const recordById = latestRecordByVideo(await readSummaryRecords());
+  const records = Array.from(recordById.values());
+  const publicRecords = records.map(publicRecord);
+  const ohlc = await loadOhlc();
+  const levels = aggregateLevels(publicRecords);
+  const setupReport = trackSetups(publicRecords, ohlc);
+  const search = buildSearchIndex(indexSections, recordById);
+  const searchTickers = [...TICKER_WHITELIST].filter(t => search.docs.some(d => d.k.includes(t)));
+
+  await writeJSON(OUT_INDEX, { sections: indexSections });
+  await writeIndexShards(indexSections);
+  await writeOutput(OUT_SEARCH_INDEX, JSON.stringify(search)); // compact: fetched by browsers
+  await writeOutput(OUT_CONTENT_PAGE, contentPageHtml(indexSections, { levelAssets: Object.keys(levels.assets), searchTickers, setupTotals: setupReport.totals }));
+  await writeJSON(OUT_LATEST, latest); // homepage consumption
+  await writeLevelOutputs(levels);
+  await writeSetupOutputs(setupReport, records, MEMBERS_ONLY ? trackSetups(records, ohlc) : setupReport);
+  const docSlugs = await writeDocsOutputs(publicRecords, indexSections);
+  await writeFeeds(indexSections, { recordById, processed });
+  await writeSitemap(indexSections, { processed, levelAssets: Object.keys(levels.assets), hasSetups: setupReport.totals.tracked > 0, docSlugs });
+  await writeRedirectsAndCollectGarbage(indexSections);
+}
+
+/* ============================================================
+   NOTIFICATIONS — announce new summaries to Discord / Slack / JSON webhooks
+   NOTIFY_WEBHOOKS='[{ "type": "discord", "url": "…", "sections": ["Daily Close Updates"] }, …]'
+   (no sections = every section). Deliveries are recorded per target in
+   processed[videoId].notifications so a re-summary is never announced twice;
+   failed ones are retried (with backoff) and again on the next NOTIFY_MAX_RUNS runs.
+   ============================================================ */
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const NOTIFY_EMBED_COLOR = 0x5865f2;
+const NOTIFY_MAX_LEVELS = 8;
+
+function notifyLevelLines(long) {
+  return (long?.key_levels || [])
+    .slice(0, NOTIFY_MAX_LEVELS)
+    .map(l => `${l.asset || '—'} ${l.level}${l.direction ? ` (${l.direction})` : ''}`);
+}
+function notifyMessage(rec) {
+  return {
+    videoId: rec.videoId,
+    title: rec.title,
+    url: rec.url,
+    permalink: `${SITE_URL}/${summaryPermalink(rec.videoId)}`,
+    thumbnail: `https://img.youtube.com/vi/${rec.videoId}/hqdefault.jpg`,
+    section: rec.section || '',
+    publishedAt: rec.publishedAt,
+    bullets: rec.bullets || [],
+    levels: notifyLevelLines(publicRecord(rec).long)
+  };
+}
+
+const NOTIFIER_REGISTRY = {
+  discord: {
+    payload: m => ({
+      allowed_mentions: { parse: [] }, // titles like "@everyone …" must not ping
+      embeds: [{
+        title: clip(m.title, 256),
+        url: m.permalink,
+        description: clip(m.bullets.map(b => `• ${b}`).join('\n'), 4096),
+        color: NOTIFY_EMBED_COLOR,
+        thumbnail: { url: m.thumbnail },
+        fields: [
+          ...(m.levels.length ? [{ name: 'Key levels', value: clip(m.levels.join('\n'), 1024) }] : []),
+          { name: 'Watch', value: m.url }
+        ],
+        footer: m.section ? { text: m.section } : undefined,
+        timestamp: m.publishedAt ? new Date(m.publishedAt).toISOString() : undefined
+      }]
+    })
+  },
+  slack: {
+    payload: m => ({
+      text: `New summary: ${m.title}`, // notification fallback
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: clip(`*<${m.permalink}|${m.title}>*\n${m.bullets.map(b => `• ${b}`).join('\n')}`, 3000) },
+          accessory: { type: 'image', image_url: m.thumbnail, alt_text: m.title }
+        },
+        ...(m.levels.length ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: clip(`Key levels: ${m.levels.join(' · ')}`, 3000) }] }] : []),
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `${m.section ? `${m.section} · ` : ''}<${m.url}|Watch on YouTube>` }] }
+      ]
+    })
+  },
+  json: {
+    payload: m => ({ event: 'summary.published', ...m })
+  }
+};
+
+// Target ids are stable across runs without putting the (secret) webhook URL in .processed.json
+function parseNotifyTargets(raw) {
+  if (!raw.trim()) return [];
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch {
+    console.warn('NOTIFY_WEBHOOKS is not valid JSON; notifications are off.');
+    return [];
+  }
+  return (Array.isArray(list) ? list : [list]).flatMap(t => {
+    if (!NOTIFIER_REGISTRY[t?.type] || !/^https?:\/\//.test(t?.url || '')) {
+      console.warn(`Skipping notify target ${JSON.stringify(t?.name || t?.type || t)}: needs a url and a type (known: ${Object.keys(NOTIFIER_REGISTRY).join(', ')})`);
+      return [];
+    }
+    return [{
+      id: t.name || `${t.type}:${hashText(t.url)}`,
+      type: t.type,
+      url: t.url,
+      sections: (t.sections || []).map(canonicalTitle)
+    }];
+  });
+}
+const NOTIFY_TARGETS = parseNotifyTargets(NOTIFY_WEBHOOKS);
+
+function targetWantsSections(target, sectionTitles) {
+  return !target.sections.length || sectionTitles.some(t => target.sections.includes(canonicalTitle(t)));
+}
+// Retries network errors, 429 (honouring Retry-After) and 5xx; other statuses fail at once
+async function postWebhook(target, body) {
+  for (let attempt = 1; ; attempt++) {
+    let res = null, error = '';
+    try {
+      res = await fetch(target.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      if (res.ok) return;
+      error = `HTTP ${res.status}: ${(await res.text().catch(() => '')).slice(0, 200)}`;
+    } catch (e) {
+      error = e.message || String(e);
+    }
+    const retryable = !res || res.status === 429 || res.status >= 500;
+    if (!retryable || attempt >= NOTIFY_MAX_ATTEMPTS) throw new Error(error);
+    const retryAfter = Number(res?.headers.get('retry-after'));
+    await sleep(retryAfter > 0 ? retryAfter * 1000 : NOTIFY_RETRY_BASE_MS * 2 ** (attempt - 1));
+  }
+}
+
+// videoIds: summarized this run; earlier failed deliveries are picked up from the processed cache.
+// sectionsOf(videoId) → every section the video is listed in (routing); defaults to the record's section.
+async function announceSummaries({ videoIds, processed, sectionsOf = () => [] }) {
+  if (!NOTIFY_TARGETS.length) return { sent: 0, failed: 0 };
+  const targetIds = new Set(NOTIFY_TARGETS.map(t => t.id));
+  const owed = id => Object.entries(processed[id]?.notifications || {})
+    .some(([tid, n]) => targetIds.has(tid) && n.status === 'failed' && n.runs < NOTIFY_MAX_RUNS);
+  const ids = [...new Set([...videoIds, ...Object.keys(processed).filter(owed)])]
+    .filter(id => processed[id]?.status === 'ok');
+  let sent = 0, failed = 0;
+  for (const id of ids) {
+    const rec = await readSummaryRecord(path.join(SUMMARIES_DIR, `${summarySlug(id)}.json`));
+    if (!rec?.videoId) continue;
+    const message = notifyMessage(rec);
+    const sections = [...new Set([...sectionsOf(id), rec.section].filter(Boolean))];
+    const notifications = { ...(processed[id].notifications || {}) };
+    for (const target of NOTIFY_TARGETS) {
+      const prev = notifications[target.id];
+      if (prev?.status === 'sent' || (prev && prev.runs >= NOTIFY_MAX_RUNS)) continue;
+      if (!targetWantsSections(target, sections)) continue;
+      if (DRY_RUN) {
+        console.log(`Would notify ${target.id} about ${id} (${rec.title})`);
+        continue;
+      }
+      try {
+        await postWebhook(target, NOTIFIER_REGISTRY[target.type].payload(message));
+        notifications[target.id] = { status: 'sent', at: new Date().toISOString() };
+        sent++;
+      } catch (e) {
+        const runs = (prev?.runs || 0) + 1;
+        notifications[target.id] = { status: 'failed', runs, at: new Date().toISOString(), error: e.message };
+        console.warn(`Notify ${target.id} failed for ${id} (run ${runs}/${NOTIFY_MAX_RUNS}):`, e.message);
+        failed++;
+      }
+    }
+    processed[id] = { ...processed[id], notifications };
+  }
+  if (sent || failed) console.log(`🔔 Notifications: ${sent} sent, ${failed} failed (${NOTIFY_TARGETS.length} target(s)).`);
+  return { sent, failed };
+}
+
 /* ============================================================
    MAIN — with processed cache + per-run cap + index merge
    ============================================================ */
-(async function main() {
+async function main() {
   // Load processed cache
-  const processed = (await readJSONSafe(PROCESSED_FILE, {})) || {}; // { [videoId]: { summarizedAt, title, publishedAt, section? } }
+  const processed = (await readJSONSafe(PROCESSED_FILE, {})) || {}; // { [videoId]: { summarizedAt, title, publishedAt, section?, status, attempts, nextRetryAt, fingerprint? } }
+
+  // Load existing index (if any) to reuse prior summaries without reprocessing
+  const existingIndex = await readJSONSafe(OUT_INDEX, { sections: [] });
+  const existingByVideoId = new Map(); // videoId -> {item, sectionTitle}
+  for (const sec of (existingIndex.sections || [])) {
+    for (const it of (sec.items || [])) {
+      if (it?.videoId) existingByVideoId.set(it.videoId, { item: it, sectionTitle: sec.title });
+    }
+  }
+  for (const [id, entry] of Object.entries(processed)) {
+    processed[id] = migrateProcessedEntry(entry, existingByVideoId.get(id)?.item);
+  }
+  await migrateSummaryRecords();
 
   // Resolve channelId (needed for playlists or fallback)
   let resolvedChannelId = CHANNEL_ID;
@@ -1014,53 +3317,103 @@ document.querySelectorAll('.tab').forEach(btn=>{
   const allVideos = Array.from(byId.values())
     .sort((a,b)=> new Date(b.publishedAt) - new Date(a.publishedAt));
 
-  // Determine which videos to summarize this run (skip already processed), apply cap
-  const toSummarize = allVideos.filter(v => !processed[v.videoId]).slice(0, MAX_SUMMARIES_PER_RUN);
-  if (toSummarize.length) {
-    console.log(`Will summarize up to ${toSummarize.length} new video(s) this run (cap ${MAX_SUMMARIES_PER_RUN}).`);
+  // Forced runs (--video/--since/--until/--section) only re-summarize what was asked for;
+  // videos outside the current playlist window are added back to their section
+  const forcedVideos = await selectForcedVideos({ allVideos, processed });
+  const forcedIds = new Set(forcedVideos.map(v => v.videoId));
+  for (const v of forcedVideos) {
+    if (byId.has(v.videoId)) continue;
+    byId.set(v.videoId, v);
+    sections.find(sec => v.sectionTitles.has(sec.title))?.items.push(v);
+  }
+
+  // Edits made on YouTube since processing (regular runs only): re-render now, re-summarize below
+  const refresh = FORCE_ACTIVE
+    ? { fingerprints: new Map(), rerender: [], resummarize: [] }
+    : await detectContentChanges({ allVideos, processed });
+  const changelog = [];
+  for (const { video, changes } of refresh.rerender) {
+    const rec = await rerenderEdited(video);
+    if (!rec) {
+      refresh.resummarize.push({ video, changes }); // no stored record to re-render from
+      continue;
+    }
+    console.log(`✎ ${video.videoId} re-rendered: ${changes.map(describeChange).join('; ')}`);
+    const prev = existingByVideoId.get(video.videoId);
+    if (prev) prev.item = { ...prev.item, title: video.title };
+    processed[video.videoId] = { ...processed[video.videoId], title: video.title, fingerprint: refresh.fingerprints.get(video.videoId) };
+    changelog.push({ at: new Date().toISOString(), videoId: video.videoId, title: video.title, action: 're-rendered', changes });
+  }
+  const refreshChanges = new Map(refresh.resummarize.map(r => [r.video.videoId, r.changes]));
+  const changedIds = new Set([...refresh.rerender.map(r => r.video.videoId), ...refreshChanges.keys()]);
+  for (const [id, fingerprint] of refresh.fingerprints) {
+    if (processed[id] && !changedIds.has(id)) processed[id] = { ...processed[id], fingerprint };
+  }
+  if (refresh.fingerprints.size) await writeJSON(PROCESSED_FILE, processed);
+
+  // Determine which videos to summarize this run: new ones first, then failures whose retry is due,
+  // then videos whose captions changed; apply cap
+  const freshVideos = allVideos.filter(v => !processed[v.videoId]);
+  const retryVideos = FORCE_ACTIVE ? [] : selectRetryVideos({ byId, processed });
+  for (const v of retryVideos) {
+    if (byId.has(v.videoId)) continue; // outside the window: listed again in its section, like forced videos
+    byId.set(v.videoId, v);
+    sections.find(sec => v.sectionTitles.has(sec.title))?.items.push(v);
+  }
+  const refreshVideos = refresh.resummarize.map(r => r.video).filter(v => !isRetryDue(processed[v.videoId]));
+  const toSummarize = FORCE_ACTIVE ? forcedVideos : freshVideos.concat(retryVideos, refreshVideos).slice(0, MAX_SUMMARIES_PER_RUN);
+  if (FORCE_ACTIVE) {
+    console.log(`Will re-summarize ${toSummarize.length} requested video(s) (new videos and retries wait for a regular run).`);
+  } else if (toSummarize.length) {
+    const refreshing = toSummarize.filter(v => refreshChanges.has(v.videoId)).length;
+    const retrying = toSummarize.filter(v => processed[v.videoId]).length - refreshing;
+    console.log(`Will summarize up to ${toSummarize.length} video(s) this run (${toSummarize.length - retrying - refreshing} new, ${retrying} retries, ${refreshing} refreshed; cap ${MAX_SUMMARIES_PER_RUN}).`);
   } else {
-    console.log('No new videos to summarize (processed cache up-to-date).');
+    console.log('No new videos to summarize and no retries due (processed cache up-to-date).');
+  }
+  for (const v of toSummarize) {
+    const why = forcedIds.has(v.videoId) ? 'forced'
+      : refreshChanges.has(v.videoId) ? `refresh: ${refreshChanges.get(v.videoId).map(c => c.field).join(', ')}`
+      : processed[v.videoId] ? `retry #${processed[v.videoId].attempts}` : 'new';
+    console.log(`  • ${v.videoId} ${toPTDate(v.publishedAt)} ${v.title} [${why}]`);
   }
 
-  // Summarize selected videos, update processed cache incrementally
+  // Summarize selected videos, update processed cache incrementally.
+  // A dry run stops at the plan above: fetching transcripts and calling the summarizer costs money and hits the network.
   const summarizedNow = [];
-  await fs.mkdir(SUMMARIES_DIR, { recursive: true });
+  await makeOutputDir(SUMMARIES_DIR);
+  if (DRY_RUN && toSummarize.length) {
+    console.log(`Dry run: would summarize the ${toSummarize.length} video(s) above with ${SUMMARIZER}; skipped (no transcripts fetched, no summarizer calls).`);
+  }
 
-  for (const v of toSummarize) {
-    const s = await summarizeItem(v);
+  for (const v of DRY_RUN ? [] : toSummarize) {
+    const s = await summarizeItem(v, { refreshTranscript: refreshChanges.has(v.videoId) });
+    // a failed forced or refresh re-run must not replace a good summary (a refresh is tried again next run)
+    const rerun = forcedIds.has(v.videoId) || refreshChanges.has(v.videoId);
+    if (rerun && summaryStatus(s) !== 'ok' && processed[v.videoId]?.status === 'ok') {
+      console.warn(`Keeping the existing summary for ${v.videoId}: re-run ended as ${summaryStatus(s)}.`);
+      continue;
+    }
     summarizedNow.push(s);
 
-    // Write per-video page immediately
-    const slug = `${toPTDate(s.publishedAt)}-${slugify(s.title)}`;
-    const permalink = `summaries/${slug}.html`;
-    const html = summaryHtml({
-      title: s.title,
-      datePT: toPTDate(s.publishedAt),
-      url: s.url,
-      videoId: s.videoId,
-      bullets: s.bullets,
-      long: s.long
-    });
-    await fs.writeFile(path.join(SUMMARIES_DIR, `${slug}.html`), html, 'utf8');
+    // store one of the section titles (first) for convenience
+    const section = Array.from(byId.get(s.videoId)?.sectionTitles || [])[0] || '';
 
-    // Mark processed
-    processed[s.videoId] = {
-      summarizedAt: new Date().toISOString(),
-      title: s.title,
-      publishedAt: s.publishedAt,
-      // store one of the section titles (first) for convenience
-      section: Array.from(byId.get(s.videoId)?.sectionTitles || [])[0] || ''
-    };
-    await writeJSON(PROCESSED_FILE, processed); // flush so partial progress is saved
-  }
+    // Write per-video data + page immediately
+    await writeSummaryFiles(summaryRecord(s, { slug: summarySlug(s.videoId), section }));
 
-  // Load existing index (if any) to reuse prior summaries without reprocessing
-  const existingIndex = await readJSONSafe(OUT_INDEX, { sections: [] });
-  const existingByVideoId = new Map(); // videoId -> {item, sectionTitle}
-  for (const sec of (existingIndex.sections || [])) {
-    for (const it of (sec.items || [])) {
-      if (it?.videoId) existingByVideoId.set(it.videoId, { item: it, sectionTitle: sec.title });
+    // Mark processed
+    const entry = processedEntryAfterAttempt(processed[s.videoId], s, section, refresh.fingerprints.get(s.videoId));
+    processed[s.videoId] = entry;
+    if (refreshChanges.has(s.videoId)) {
+      console.log(`✎ ${s.videoId} re-summarized: ${refreshChanges.get(s.videoId).map(describeChange).join('; ')}`);
+      changelog.push({ at: new Date().toISOString(), videoId: s.videoId, title: s.title, action: 're-summarized', changes: refreshChanges.get(s.videoId) });
+    }
+    if (entry.status !== 'ok') {
+      console.log(`↻ ${s.videoId} → ${entry.status} (attempt ${entry.attempts}); ` +
+        (entry.nextRetryAt ? `next retry ${entry.nextRetryAt}` : 'giving up'));
     }
+    await writeJSON(PROCESSED_FILE, processed); // flush so partial progress is saved
   }
 
   // Combine: current-run summaries + existing items
@@ -1071,17 +3424,19 @@ document.querySelectorAll('.tab').forEach(btn=>{
   const indexSections = [];
   for (const sec of sections) {
     const items = [];
+    const seen = new Set(); // playlists can list a video twice
     for (const v of sec.items) {
+      if (seen.has(v.videoId)) continue;
+      seen.add(v.videoId);
       const nowSum = newById.get(v.videoId);
       if (nowSum) {
-        const slug = `${toPTDate(nowSum.publishedAt)}-${slugify(nowSum.title)}`;
         items.push({
           title: nowSum.title,
           datePT: toPTDate(nowSum.publishedAt),
           url: nowSum.url,
           videoId: nowSum.videoId,
           bullets: nowSum.bullets,
-          permalink: `summaries/${slug}.html`
+          permalink: summaryPermalink(nowSum.videoId)
         });
         latestCandidateItems.push({ ...items[items.length - 1], publishedAt: nowSum.publishedAt });
       } else {
@@ -1099,41 +3454,254 @@ document.querySelectorAll('.tab').forEach(btn=>{
   }
 
   // Compute latest.json from the newest item we actually have a summary for (new or existing)
-  const newestItem = latestCandidateItems
-    .slice()
-    .sort((a,b)=> new Date(b.publishedAt) - new Date(a.publishedAt))[0];
+  const latest = latestFromCandidates(latestCandidateItems.map(it => ({ ...it, url: byId.get(it.videoId)?.url || it.url })));
 
-  const latest = newestItem
-    ? { title: newestItem.title, datePT: newestItem.datePT, url: byId.get(newestItem.videoId)?.url || newestItem.url, videoId: newestItem.videoId, bullets: newestItem.bullets || [] }
-    : { title: '', datePT: '', url: '', videoId: '', bullets: [] };
+  // Write grouped index JSON + content page + latest.json
+  await writeSiteOutputs({ indexSections, latest, processed });
 
-  // Write grouped index JSON + content page
-  await writeJSON(OUT_INDEX, { sections: indexSections });
-  await fs.writeFile(OUT_CONTENT_PAGE, contentPageHtml(indexSections), 'utf8');
+  await appendChangelog(changelog);
+
+  // Announce after the pages exist, then persist who was told about what
+  const notified = await announceSummaries({
+    videoIds: summarizedNow.map(s => s.videoId),
+    processed,
+    sectionsOf: id => Array.from(byId.get(id)?.sectionTitles || [])
+  });
+  if (notified.sent || notified.failed) await writeJSON(PROCESSED_FILE, processed);
 
   // Maintain lastID optimization: write newest summarized videoId if we summarized any this run
   if (summarizedNow.length) {
     const newestSummarized = summarizedNow.slice().sort((a,b)=> new Date(b.publishedAt) - new Date(a.publishedAt))[0];
-    await fs.writeFile(OUT_LASTID, newestSummarized.videoId || '', 'utf8');
+    await writeOutput(OUT_LASTID, newestSummarized.videoId || '');
   }
 
-  // Also keep latest.json for homepage consumption
-  await writeJSON(OUT_LATEST, latest);
-
   // Log stats
   const totalSummariesNow = indexSections.reduce((n, s) => n + s.items.length, 0);
+  const pendingRetries = Object.values(processed).filter(p => p.status !== 'ok' && p.nextRetryAt).length;
   console.log(
     'Processed cache size:', Object.keys(processed).length,
     '| New summaries this run:', summarizedNow.length,
-    '| Total summaries available:', totalSummariesNow
+    '| Total summaries available:', totalSummariesNow,
+    '| Retry queue:', pendingRetries,
+    '| Refreshed after edits:', changelog.length
   );
   console.log(
-    'Wrote latest.json, yt-index.json (grouped), summaries.html, and',
+    `${DRY_RUN ? 'Would write' : 'Wrote'} latest.json, yt-index.json (grouped), summaries.html, and`,
     summarizedNow.length,
     'new summary pages (',
     fetchedFromPlaylists ? 'via Playlists+API' : (CHANNEL_ID ? 'via RSS' : 'via API recent'),
     ').',
-    FREE_MODE ? 'Mode: FREE (rule-based summarizer)' : 'Mode: OpenAI summarizer',
-    ALLOW_PRICE_LOOKUPS ? '(price sanity: ON)' : '(price sanity: OFF)'
+    `Mode: ${SUMMARIZER}${getSummarizerBackend()?.model ? ` (${getSummarizerBackend().model})` : ''}`,
+    `(price sanity: ${PRICE_SOURCE_ORDER.join(' → ') || 'range only'})`
   );
-})().catch(err => { console.error(err); process.exit(1); });
+}
+
+/* ============================================================
+   FORCED RE-SUMMARIES — --video / --since / --until / --section
+   Candidates: the current playlist fetch plus everything known from
+   .processed.json and summaries/*.json (older videos fall out of the fetch window)
+   ============================================================ */
+const FORCE_ACTIVE = Boolean(FORCE.videoIds.length || FORCE.since != null || FORCE.until != null || FORCE.sections.length);
+
+async function fetchVideosById(ids) {
+  if (!YT_API_KEY || !ids.length) return [];
+  const out = [];
+  for (let i = 0; i < ids.length; i += 50) {
+    const j = await youtube('videos', { part: 'snippet', id: ids.slice(i, i + 50).join(','), maxResults: '50' });
+    for (const it of (j.items || [])) {
+      out.push({
+        videoId: it.id,
+        title: it.snippet?.title || '',
+        description: it.snippet?.description || '',
+        publishedAt: it.snippet?.publishedAt || '',
+        url: `https://youtu.be/${it.id}`
+      });
+    }
+  }
+  return out;
+}
+async function selectForcedVideos({ allVideos, processed }) {
+  if (!FORCE_ACTIVE) return [];
+  const recordById = latestRecordByVideo(await readSummaryRecords());
+  const candidates = new Map(allVideos.map(v => [v.videoId, v]));
+  for (const id of new Set([...Object.keys(processed), ...recordById.keys()])) {
+    if (candidates.has(id)) continue;
+    const rec = recordById.get(id);
+    const p = processed[id];
+    const publishedAt = rec?.publishedAt || p?.publishedAt;
+    if (!publishedAt) continue;
+    const section = rec?.section || p?.section || '';
+    candidates.set(id, {
+      videoId: id, title: rec?.title || p?.title || '', publishedAt, url: rec?.url || `https://youtu.be/${id}`,
+      sectionTitles: new Set(section ? [section] : [])
+    });
+  }
+  for (const v of await fetchVideosById(FORCE.videoIds.filter(id => !candidates.has(id)))) {
+    candidates.set(v.videoId, { ...v, sectionTitles: new Set() });
+  }
+
+  const picked = new Map();
+  for (const id of FORCE.videoIds) {
+    if (candidates.has(id)) picked.set(id, candidates.get(id));
+    else console.warn(`--video ${id}: not in the playlists, .processed.json or summaries/${YT_API_KEY ? ' and not found via the API' : ' (set YT_API_KEY to look it up)'}; skipped.`);
+  }
+  if (FORCE.since != null || FORCE.until != null || FORCE.sections.length) {
+    const wanted = new Set(FORCE.sections.map(canonicalTitle));
+    for (const v of candidates.values()) {
+      const at = Date.parse(v.publishedAt);
+      if (FORCE.since != null && !(at >= FORCE.since)) continue;
+      if (FORCE.until != null && !(at <= FORCE.until)) continue;
+      if (wanted.size && ![...v.sectionTitles].some(t => wanted.has(canonicalTitle(t)))) continue;
+      picked.set(v.videoId, v);
+    }
+  }
+  return Array.from(picked.values()).sort((a,b)=> new Date(b.publishedAt) - new Date(a.publishedAt));
+}
+
+/* ============================================================
+   REBUILD — offline, from .processed.json + summaries/*.json
+   ============================================================ */
+async function rebuild() {
+  const processed = (await readJSONSafe(PROCESSED_FILE, {})) || {};
+
+  // Existing index supplies section membership + bullets for legacy items that have no JSON yet
+  const existingIndex = await readJSONSafe(OUT_INDEX, { sections: [] });
+  const existingSections = new Map(); // videoId -> [sectionTitle]
+  const existingItems = new Map();    // videoId -> item
+  for (const sec of (existingIndex.sections || [])) {
+    for (const it of (sec.items || [])) {
+      if (!it?.videoId) continue;
+      const titles = existingSections.get(it.videoId) || [];
+      if (!titles.includes(sec.title)) titles.push(sec.title);
+      existingSections.set(it.videoId, titles);
+      if (!existingItems.has(it.videoId)) existingItems.set(it.videoId, it);
+    }
+  }
+
+  // Re-render every page we have structured data for
+  await migrateSummaryRecords();
+  const records = await readSummaryRecords();
+  for (const rec of records) {
+    await writeSummaryFiles(rec); // also (un)splits the members-only part when MEMBERS_ONLY changed
+  }
+  const recordById = latestRecordByVideo(records);
+
+  const bySection = new Map(); // sectionTitle -> [{item, publishedAt}]
+  const latestCandidateItems = [];
+  for (const [videoId, entry] of Object.entries(processed)) {
+    const rec = recordById.get(videoId);
+    const item = rec ? indexItemFromRecord(rec) : existingItems.get(videoId);
+    if (!item) continue;
+    const publishedAt = rec?.publishedAt || entry.publishedAt || '';
+    const titles = existingSections.get(videoId) || [rec?.section || entry.section || 'All Videos'];
+    for (const t of titles) {
+      if (!bySection.has(t)) bySection.set(t, []);
+      bySection.get(t).push({ item, publishedAt });
+    }
+    latestCandidateItems.push({ ...item, publishedAt });
+  }
+
+  const order = title => {
+    const i = TARGET_PLAYLIST_TITLES.map(canonicalTitle).indexOf(canonicalTitle(title));
+    return i === -1 ? TARGET_PLAYLIST_TITLES.length : i;
+  };
+  const indexSections = Array.from(bySection.entries())
+    .sort((a, b) => order(a[0]) - order(b[0]))
+    .map(([title, rows]) => ({
+      title,
+      items: rows
+        .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+        .map(r => r.item)
+    }));
+
+  await writeSiteOutputs({ indexSections, latest: latestFromCandidates(latestCandidateItems), processed });
+
+  const total = indexSections.reduce((n, s) => n + s.items.length, 0);
+  console.log(
+    'Rebuilt', records.length, 'summary pages from JSON |',
+    'Index items:', total, '| Sections:', indexSections.map(s => s.title).join(', ') || '—',
+    `| ${DRY_RUN ? 'Would write' : 'Wrote'} latest.json, yt-index.json, summaries.html (offline).`
+  );
+}
+
+/* ============================================================
+   ASR CHECK — tools/asr-corpus.json: [{ text, expect, note? }] transcript
+   snippets; every correction rule change should keep these passing
+   ============================================================ */
+async function checkAsr() {
+  const corpus = JSON.parse(await fs.readFile(ASR_CORPUS_FILE, 'utf8'));
+  const failures = corpus.filter(c => normalizeForFinance(c.text) !== normalizeTextBasic(c.expect));
+  for (const f of failures) {
+    console.error(`✗ ${f.note ? `${f.note}: ` : ''}${JSON.stringify(f.text)}\n    expected ${JSON.stringify(f.expect)}\n    got      ${JSON.stringify(normalizeForFinance(f.text))}`);
+  }
+  console.log(`ASR corpus: ${corpus.length - failures.length}/${corpus.length} snippets pass.`);
+  if (failures.length) process.exit(1);
+}
+
+/* ============================================================
+   DRY RUN — staged outputs reported as a unified diff against disk
+   ============================================================ */
+async function filesUnder(dir) {
+  const names = await fs.readdir(dir, { recursive: true }).catch(() => []);
+  const out = [];
+  for (const n of names) {
+    const f = path.join(dir, n);
+    if ((await fs.stat(f).catch(() => null))?.isFile()) out.push(f);
+  }
+  return out;
+}
+function unifiedDiff(fromFile, toFile, label) {
+  return new Promise((resolve, reject) => {
+    execFile('diff', ['-u', '--label', fromFile === '/dev/null' ? '/dev/null' : `a/${label}`, '--label', `b/${label}`, fromFile, toFile],
+      { windowsHide: true, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+        if (err && err.code !== 1) return reject(new Error(stderr || err.message)); // 1 = files differ
+        resolve(stdout);
+      });
+  });
+}
+async function reportStagedOutputs() {
+  const changes = []; // { file, content, isNew } | { file, removed: true }
+  for (const file of Array.from(stagedOutputs.keys()).sort()) {
+    const before = await fs.readFile(file, 'utf8').catch(() => null);
+    if (before !== stagedOutputs.get(file)) changes.push({ file, content: stagedOutputs.get(file), isNew: before == null });
+  }
+  for (const dir of stagedRemovedDirs) {
+    for (const f of await filesUnder(dir)) if (!stagedOutputs.has(f)) changes.push({ file: f, removed: true });
+  }
+  for (const f of stagedRemovedFiles) {
+    if (await fs.stat(f).catch(() => null)) changes.push({ file: f, removed: true });
+  }
+
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'yt-tldr-dry-run-'));
+  try {
+    for (const c of changes) {
+      const label = path.relative(ROOT, c.file);
+      if (c.removed) {
+        console.log(`--- a/${label}\n+++ /dev/null\n(removed)`);
+        continue;
+      }
+      const after = path.join(tmp, label);
+      await fs.mkdir(path.dirname(after), { recursive: true });
+      await fs.writeFile(after, c.content, 'utf8');
+      process.stdout.write(await unifiedDiff(c.isNew ? '/dev/null' : c.file, after, label));
+    }
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+  const count = kind => changes.filter(kind).length;
+  console.log(`Dry run: ${changes.length} file(s) would change (${count(c => c.isNew)} new, ${count(c => !c.isNew && !c.removed)} modified, ${count(c => c.removed)} removed); nothing was written.`);
+}
+
+if (IS_MAIN) {
+  (CHECK_ASR ? checkAsr() : REBUILD ? rebuild() : main())
+    .then(() => (DRY_RUN && !CHECK_ASR ? reportStagedOutputs() : null))
+    .catch(err => { console.error(err); process.exit(1); });
+}
+
+// pure helpers, for test/*.test.mjs
+export {
+  isRetryDue, nextRetryAt, selectRetryVideos, processedEntryAfterAttempt,
+  validateSummaryJSON, sanitizeSummaryJSON, parseModelJSON, createMockBackend,
+  chunkTranscript, mergePartialSummaries, groundSummary, normalizeForFinance,
+  contentFingerprint, fingerprintChanges, parseNotifyTargets, targetWantsSections
+};
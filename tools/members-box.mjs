@@ -0,0 +1,32 @@
+// tools/members-box.mjs
+// Members-only summary content is committed sealed (AES-256-GCM) under members/, so the public
+// repo and Pages never hold it in the clear. build-yt-tldr.mjs seals, site-server.mjs opens;
+// both read the same MEMBERS_KEY (any secret string). The file name is bound in as associated
+// data, so a sealed file cannot be served under another video's name.
+// Format: m1.<iv>.<tag>.<ciphertext> (base64url)
+
+import crypto from 'node:crypto';
+
+const keyFrom = secret => crypto.createHash('sha256').update(String(secret)).digest();
+
+export function sealMembersContent(plain, secret, name) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyFrom(secret), iv);
+  cipher.setAAD(Buffer.from(name));
+  const body = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return `m1.${iv.toString('base64url')}.${cipher.getAuthTag().toString('base64url')}.${body.toString('base64url')}\n`;
+}
+
+// null when the key is wrong, the name doesn't match or the file was tampered with
+export function openMembersContent(sealed, secret, name) {
+  const [version, iv, tag, body] = String(sealed).trim().split('.');
+  if (version !== 'm1' || !iv || !tag || body == null) return null;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', keyFrom(secret), Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(body, 'base64url')), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,29 @@
+// tools/numeric-tokens.mjs
+// Numbers as the summaries write them ("$60,000", "110k", "3.5%"), shared by the builder's
+// numeric grounding, level tracker and setup tracker.
+
+export function parseNumericTokens(s='') {
+  const out = [];
+  // "60000" must not read as 600 + 00, and "5 minutes" is not 5M
+  const re = /\$?\s*(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?:\s*([kKmM](?![A-Za-z])|%))?/g;
+  let m;
+  while ((m = re.exec(s)) !== null) {
+    const raw = m[0];
+    const num = m[1].replace(/,/g, '');
+    let val = Number(num);
+    const suf = (m[2] || '').toLowerCase();
+    if (suf === 'k') val *= 1e3;
+    else if (suf === 'm') val *= 1e6;
+    const isPercent = suf === '%' || /%/.test(raw);
+    const isUSD = /^\s*\$/.test(raw);
+    out.push({ raw, value: val, isPercent, isUSD, index: m.index + (raw.length - raw.trimStart().length) });
+  }
+  return out;
+}
+
+// "179", "$179", "179.0" → "179"; "110k" → "110000". Percentages are not price levels.
+export function levelKeys(raw='') {
+  return parseNumericTokens(String(raw))
+    .filter(n => !n.isPercent && n.value > 0)
+    .map(n => String(Number(n.value.toFixed(8))));
+}
@@ -0,0 +1,70 @@
+// tools/setup-tracker.mjs
+// Called setups checked against OHLC candles: parses ohlc/<ASSET>.csv and walks a setup
+// through pending → triggered → target-hit | invalidated. No I/O, so it can be tested on its own;
+// build-yt-tldr.mjs loads the files and renders the results.
+
+import { levelKeys } from './numeric-tokens.mjs';
+
+export function parseCandleTime(raw) {
+  const s = String(raw).trim();
+  if (/^\d+(?:\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    return n < 1e12 ? n * 1000 : n; // unix seconds vs ms
+  }
+  return Date.parse(s);
+}
+export function parseOhlcCsv(text) {
+  const rows = String(text).split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#')).map(l => l.split(',').map(c => c.trim().replace(/^"|"$/g, '')));
+  if (!rows.length) return [];
+  let cols = { t: 0, o: 1, h: 2, l: 3, c: 4 }; // headerless files: time,open,high,low,close
+  if (!/^\d/.test(rows[0][0] || '') || isNaN(parseCandleTime(rows[0][0]))) {
+    const header = rows.shift().map(h => h.toLowerCase());
+    const find = (...names) => header.findIndex(h => names.includes(h));
+    cols = { t: find('time', 'timestamp', 'date', 'datetime', 'open_time'), o: find('open', 'o'), h: find('high', 'h'), l: find('low', 'l'), c: find('close', 'c') };
+    if (Object.values(cols).some(i => i < 0)) return [];
+  }
+  return rows
+    .map(r => ({ t: parseCandleTime(r[cols.t]), o: Number(r[cols.o]), h: Number(r[cols.h]), l: Number(r[cols.l]), c: Number(r[cols.c]) }))
+    .filter(k => Number.isFinite(k.t) && [k.o, k.h, k.l, k.c].every(Number.isFinite))
+    .sort((a, b) => a.t - b.t);
+}
+
+// candles: [{ t (ms), o, h, l, c }] oldest first; only those from fromMs on count
+export function evaluateSetup(setup, candles, fromMs) {
+  // "4h close above 185": timeframes are not prices
+  const num = raw => levelKeys(String(raw || '').replace(/\b\d+\s*(?:h|hr|hour|d|day|w|wk|week|min)s?\b/gi, ' ')).map(Number);
+  const trigger = num(setup.trigger)[0];
+  const invalidation = num(setup.invalidation)[0];
+  let targets = num(setup.targets);
+  const base = { trigger: trigger ?? null, invalidation: invalidation ?? null };
+  if (!trigger) return { status: 'untracked', reason: 'no trigger price', ...base, targets };
+
+  const side = targets.length ? (targets[0] > trigger ? 'long' : 'short')
+    : invalidation ? (invalidation < trigger ? 'long' : 'short') : '';
+  if (!side) return { status: 'untracked', reason: 'no target or invalidation to infer direction', ...base, targets };
+  targets = targets.filter(t => (side === 'long' ? t > trigger : t < trigger)).sort((a, b) => (side === 'long' ? a - b : b - a));
+  const result = { status: 'pending', side, ...base, targets, triggeredAt: null, resolvedAt: null };
+
+  const after = candles.filter(k => k.t >= fromMs);
+  if (!after.length) return { ...result, reason: 'no candles after the video' };
+  const stopped = k => invalidation && (side === 'long' ? k.l <= invalidation : k.h >= invalidation);
+  const reached = k => targets.length && (side === 'long' ? k.h >= targets[0] : k.l <= targets[0]);
+  let prevClose;
+  for (const k of after) {
+    const at = new Date(k.t).toISOString();
+    if (result.status === 'pending') {
+      // touched = traded through the trigger within the candle or gapped across it since the last close
+      const lo = Math.min(k.l, prevClose ?? k.l);
+      const hi = Math.max(k.h, prevClose ?? k.h);
+      if (stopped(k)) return { ...result, status: 'invalidated', resolvedAt: at, reason: 'invalidation hit before entry' };
+      if (lo <= trigger && trigger <= hi) { result.status = 'triggered'; result.triggeredAt = at; }
+    }
+    if (result.status === 'triggered') {
+      // candles carry no intra-bar order: when both are in range, count the stop (conservative)
+      if (stopped(k)) return { ...result, status: 'invalidated', resolvedAt: at };
+      if (reached(k)) return { ...result, status: 'target-hit', resolvedAt: at };
+    }
+    prevClose = k.c;
+  }
+  return result;
+}
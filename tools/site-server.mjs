@@ -0,0 +1,666 @@
+// tools/site-server.mjs
+// Small server for the dynamic bits of the site: serves the static pages from SITE_DIR and adds
+//   GET  /config.json               → publishable key + price id for the homepage (never hard-coded in HTML)
+//   POST /create-checkout-session   → { priceId } → { id, url } (Stripe Checkout, subscription mode)
+//   POST /stripe/webhook            → signature-verified subscription created/updated/cancelled → subscriber store
+//   POST /discord/join              → { email, consent } → lead store + single-use expiring Discord invite
+//   GET|POST /unsubscribe           → ?email=…&token=… (signed link handed out with every invite)
+//   GET  /discord/connect           → ?session_id=… (Stripe success page) → Discord OAuth → paid-member role
+//   GET  /members/session           → ?session_id=… → { token, expiresAt } for an active subscriber
+//   GET  /members/summaries/<id>.html|.json → full long-form summary (builder's MEMBERS_ONLY=1 output,
+//                                      sealed in SITE_DIR/members/, opened with MEMBERS_KEY), Authorization: Bearer <token>
+// Run: STRIPE_SECRET_KEY=sk_test_… STRIPE_PUBLISHABLE_KEY=pk_test_… STRIPE_PRICE_ID=price_… \
+//      STRIPE_WEBHOOK_SECRET=whsec_… SITE_SECRET=… node tools/site-server.mjs
+// No account needed to exercise the webhook: `node tools/site-server.mjs --replay event.json`
+// signs a Stripe event fixture with STRIPE_WEBHOOK_SECRET and feeds it through the same handler.
+// STRIPE_API_BASE can point Checkout calls at stripe-mock (http://127.0.0.1:12111).
+// Discord sits behind a small bot interface (createInvite / exchangeCode / addMember / removeRole):
+// DISCORD_BOT=rest talks to the Discord API, DISCORD_BOT=fake keeps everything in memory for local runs.
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { openMembersContent } from './members-box.mjs';
+
+/* ============================================================
+   CONFIG / ENV
+   ============================================================ */
+export function loadConfig(env = process.env) {
+  const config = {
+    port:                 Number(env.PORT || 8787),
+    siteDir:              path.resolve(env.SITE_DIR || process.cwd()),
+    siteUrl:              (env.SITE_URL || '').replace(/\/$/, ''), // success/cancel URLs; default: the request origin
+    stripeSecretKey:      env.STRIPE_SECRET_KEY || '',
+    stripePublishableKey: env.STRIPE_PUBLISHABLE_KEY || '',
+    stripePriceIds:       (env.STRIPE_PRICE_ID || '').split(',').map(s => s.trim()).filter(Boolean), // first = default; others allowed
+    stripeWebhookSecret:  env.STRIPE_WEBHOOK_SECRET || '',
+    stripeApiBase:        (env.STRIPE_API_BASE || 'https://api.stripe.com').replace(/\/$/, ''),
+    webhookToleranceSec:  Number(env.STRIPE_WEBHOOK_TOLERANCE || 300), // reject replays older than this
+    subscribersFile:      path.resolve(env.SUBSCRIBERS_FILE || '.data/subscribers.json'),
+    leadsFile:            path.resolve(env.LEADS_FILE || '.data/leads.json'),         // Discord funnel emails + consent
+    siteSecret:           env.SITE_SECRET || '',                                       // signs unsubscribe links + OAuth state
+    discordBot:           (env.DISCORD_BOT || (env.DISCORD_BOT_TOKEN ? 'rest' : '')).toLowerCase(), // rest | fake
+    discordBotToken:      env.DISCORD_BOT_TOKEN || '',
+    discordClientId:      env.DISCORD_CLIENT_ID || '',                                 // OAuth app (identify + guilds.join)
+    discordClientSecret:  env.DISCORD_CLIENT_SECRET || '',
+    discordGuildId:       env.DISCORD_GUILD_ID || '',
+    discordInviteChannel: env.DISCORD_INVITE_CHANNEL_ID || '',
+    discordMemberRoleId:  env.DISCORD_MEMBER_ROLE_ID || '',                            // paid-member role
+    inviteMaxAgeSec:      Number(env.DISCORD_INVITE_MAX_AGE || 24 * 3600),             // invites are single-use and expire
+    invitesPerDay:        Number(env.DISCORD_INVITES_PER_DAY || 3),                    // per email, stops invite farming
+    memberTokenTtlDays:   Number(env.MEMBER_TOKEN_TTL_DAYS || 30),                     // status is re-checked on every request
+    membersDir:           path.resolve(env.MEMBERS_DIR || path.join(env.SITE_DIR || process.cwd(), 'members')), // sealed summaries
+    membersKey:           env.MEMBERS_KEY || ''                                        // same key the builder seals with
+  };
+  // the fake bot has no Discord app behind it: placeholder ids keep the routes usable
+  if (config.discordBot === 'fake') {
+    for (const k of ['discordClientId', 'discordGuildId', 'discordInviteChannel', 'discordMemberRoleId']) config[k] ||= `fake-${k}`;
+  }
+  return config;
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/* ============================================================
+   STRIPE — Checkout sessions (REST, form-encoded) + webhook signatures
+   ============================================================ */
+async function stripeRequest(config, endpoint, params) {
+  if (!config.stripeSecretKey) throw new HttpError(503, 'Stripe is not configured (STRIPE_SECRET_KEY missing)');
+  const res = await fetch(`${config.stripeApiBase}/v1/${endpoint}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${config.stripeSecretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(params)
+  });
+  const j = await res.json().catch(() => ({}));
+  if (!res.ok) throw new HttpError(502, `Stripe: ${j.error?.message || res.status}`);
+  return j;
+}
+
+async function createCheckoutSession(config, { priceId, origin }) {
+  if (!config.stripePriceIds.length) throw new HttpError(503, 'Stripe is not configured (STRIPE_PRICE_ID missing)');
+  const price = priceId || config.stripePriceIds[0];
+  // only prices we sell: the page must not be able to pick an arbitrary price on the account
+  if (!config.stripePriceIds.includes(price)) throw new HttpError(400, 'Unknown priceId');
+  const base = config.siteUrl || origin;
+  return stripeRequest(config, 'checkout/sessions', {
+    mode: 'subscription',
+    'line_items[0][price]': price,
+    'line_items[0][quantity]': '1',
+    success_url: `${base}/thankyou.html?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${base}/#buy`
+  });
+}
+
+// Stripe-Signature: t=<unix>,v1=<hex hmac-sha256 of "t.payload">[,v1=…] (several v1 during secret rotation)
+export function signStripePayload(payload, secret, t = Math.floor(Date.now() / 1000)) {
+  const sig = crypto.createHmac('sha256', secret).update(`${t}.${payload}`).digest('hex');
+  return `t=${t},v1=${sig}`;
+}
+export function verifyStripeSignature(payload, header, secret, toleranceSec = 300, now = Date.now()) {
+  if (!secret) throw new HttpError(503, 'Webhook secret not configured (STRIPE_WEBHOOK_SECRET missing)');
+  const parts = String(header || '').split(',').map(kv => kv.split('='));
+  const t = Number(parts.find(([k]) => k === 't')?.[1]);
+  const sigs = parts.filter(([k]) => k === 'v1').map(([, v]) => v || '');
+  if (!t || !sigs.length) throw new HttpError(400, 'Malformed Stripe-Signature header');
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${t}.${payload}`).digest('hex'));
+  const ok = sigs.some(s => s.length === expected.length && crypto.timingSafeEqual(Buffer.from(s), expected));
+  if (!ok) throw new HttpError(400, 'Webhook signature mismatch');
+  if (Math.abs(now / 1000 - t) > toleranceSec) throw new HttpError(400, 'Webhook timestamp outside tolerance');
+  try {
+    return JSON.parse(payload);
+  } catch {
+    throw new HttpError(400, 'Webhook payload is not valid JSON');
+  }
+}
+
+/* ============================================================
+   STORES — JSON files; writes are serialized and atomic (temp file + rename)
+   subscribers: { [subscriptionId]: { customerId, email, priceId, status, cancelAtPeriodEnd, currentPeriodEnd,
+                  checkoutSessionId, discordUserId, createdAt, updatedAt, canceledAt, lastEventAt } }
+   leads:       { [email]: { email, consentAt, consentText, source, invites:[{ code, url, expiresAt, issuedAt }],
+                  unsubscribedAt } }
+   ============================================================ */
+function createJsonStore(file) {
+  let queue = Promise.resolve();
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+  async function write(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tmp, file);
+  }
+  return {
+    all: read,
+    update(fn) {
+      const run = queue.then(async () => {
+        const data = await read();
+        const out = fn(data) ?? data;
+        await write(out);
+        return out;
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
+
+const isoFromUnix = s => (s ? new Date(s * 1000).toISOString() : null);
+
+// subscription created/updated/deleted + checkout.session.completed (the only place the email shows up).
+// A cancellation also takes the paid-member role back from the linked Discord account.
+export async function applyStripeEvent({ store, bot, config }, event) {
+  const obj = event?.data?.object || {};
+  const now = new Date().toISOString();
+  switch (event?.type) {
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted': {
+      const canceled = event.type === 'customer.subscription.deleted';
+      let stale = false;
+      await store.update(subs => {
+        const prev = subs[obj.id] || {};
+        // Stripe doesn't guarantee delivery order: never let an older event (or anything after the
+        // cancellation) overwrite newer state
+        stale = (prev.lastEventAt && event.created < prev.lastEventAt) || (prev.status === 'canceled' && !canceled);
+        if (stale) return subs;
+        subs[obj.id] = {
+          ...prev,
+          customerId: typeof obj.customer === 'string' ? obj.customer : obj.customer?.id || prev.customerId || null,
+          email: prev.email || null,
+          priceId: obj.items?.data?.[0]?.price?.id || prev.priceId || null,
+          status: canceled ? 'canceled' : obj.status || prev.status || 'active',
+          cancelAtPeriodEnd: Boolean(obj.cancel_at_period_end),
+          currentPeriodEnd: isoFromUnix(obj.current_period_end ?? obj.items?.data?.[0]?.current_period_end),
+          createdAt: prev.createdAt || isoFromUnix(obj.created) || now,
+          updatedAt: now,
+          canceledAt: canceled ? isoFromUnix(obj.canceled_at) || now : prev.canceledAt || null,
+          lastEventAt: event.created || prev.lastEventAt || null
+        };
+      });
+      const sub = (await store.all())[obj.id];
+      if (canceled && !stale && sub?.discordUserId && bot && config.discordMemberRoleId) {
+        await bot.removeRole(sub.discordUserId, config.discordMemberRoleId)
+          .catch(e => console.warn(`Could not remove the member role from ${sub.discordUserId}:`, e.message || e));
+      }
+      return { handled: !stale, subscriptionId: obj.id };
+    }
+    case 'checkout.session.completed': {
+      if (!obj.subscription) return { handled: false };
+      const id = typeof obj.subscription === 'string' ? obj.subscription : obj.subscription.id;
+      await store.update(subs => {
+        const prev = subs[id] || { status: 'incomplete', createdAt: now };
+        subs[id] = {
+          ...prev,
+          customerId: prev.customerId || obj.customer || null,
+          checkoutSessionId: obj.id,
+          email: obj.customer_details?.email || obj.customer_email || prev.email || null,
+          updatedAt: now
+        };
+      });
+      return { handled: true, subscriptionId: id };
+    }
+    default:
+      return { handled: false };
+  }
+}
+
+/* ============================================================
+   DISCORD — bot interface + REST implementation + in-memory fake
+   bot.createInvite({ maxAgeSec, maxUses })      → { code, url, expiresAt }
+   bot.exchangeCode(code, redirectUri)            → { accessToken, userId }   (OAuth2, identify + guilds.join)
+   bot.addMember({ userId, accessToken, roleIds }) → joins the guild with the roles, or adds them if already in
+   bot.removeRole(userId, roleId)
+   ============================================================ */
+const DISCORD_API = 'https://discord.com/api/v10';
+
+function createDiscordRestBot(config) {
+  async function api(method, endpoint, { body, auth = `Bot ${config.discordBotToken}`, form } = {}) {
+    const res = await fetch(`${DISCORD_API}${endpoint}`, {
+      method,
+      headers: { Authorization: auth, 'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json' },
+      body: form ? new URLSearchParams(form) : body ? JSON.stringify(body) : undefined
+    });
+    if (res.status === 204) return null;
+    const j = await res.json().catch(() => ({}));
+    if (!res.ok) throw new HttpError(502, `Discord: ${j.message || j.error_description || res.status}`);
+    return j;
+  }
+  return {
+    async createInvite({ maxAgeSec, maxUses }) {
+      const j = await api('POST', `/channels/${config.discordInviteChannel}/invites`, { body: { max_age: maxAgeSec, max_uses: maxUses, unique: true } });
+      return { code: j.code, url: `https://discord.gg/${j.code}`, expiresAt: j.expires_at || null };
+    },
+    async exchangeCode(code, redirectUri) {
+      const token = await api('POST', '/oauth2/token', {
+        auth: `Basic ${Buffer.from(`${config.discordClientId}:${config.discordClientSecret}`).toString('base64')}`,
+        form: { grant_type: 'authorization_code', code, redirect_uri: redirectUri }
+      });
+      const me = await api('GET', '/users/@me', { auth: `Bearer ${token.access_token}` });
+      return { accessToken: token.access_token, userId: me.id };
+    },
+    async addMember({ userId, accessToken, roleIds }) {
+      const joined = await api('PUT', `/guilds/${config.discordGuildId}/members/${userId}`, { body: { access_token: accessToken, roles: roleIds } });
+      if (joined) return; // 201: new member, roles applied on join
+      for (const roleId of roleIds) await api('PUT', `/guilds/${config.discordGuildId}/members/${userId}/roles/${roleId}`);
+    },
+    async removeRole(userId, roleId) {
+      await api('DELETE', `/guilds/${config.discordGuildId}/members/${userId}/roles/${roleId}`);
+    }
+  };
+}
+
+// Same interface, no network: invites are fake codes, OAuth codes map to `user_<code>`
+export function createFakeDiscordBot() {
+  let seq = 0;
+  const invites = [];
+  const members = new Map(); // userId -> Set(roleId)
+  return {
+    invites,
+    members,
+    async createInvite({ maxAgeSec, maxUses }) {
+      const code = `fake${++seq}`;
+      const invite = { code, url: `https://discord.gg/${code}`, expiresAt: maxAgeSec ? new Date(Date.now() + maxAgeSec * 1000).toISOString() : null, maxUses };
+      invites.push(invite);
+      return { code, url: invite.url, expiresAt: invite.expiresAt };
+    },
+    async exchangeCode(code) {
+      return { accessToken: `token_${code}`, userId: `user_${code}` };
+    },
+    async addMember({ userId, roleIds }) {
+      const roles = members.get(userId) || new Set();
+      roleIds.forEach(r => roles.add(r));
+      members.set(userId, roles);
+    },
+    async removeRole(userId, roleId) {
+      members.get(userId)?.delete(roleId);
+    }
+  };
+}
+
+function createDiscordBot(config) {
+  if (config.discordBot === 'fake') return createFakeDiscordBot();
+  if (config.discordBot === 'rest') return createDiscordRestBot(config);
+  return null;
+}
+function requireBot(bot, ...fields) {
+  if (!bot || fields.some(f => !f)) throw new HttpError(503, 'Discord is not configured');
+  return bot;
+}
+
+/* ============================================================
+   DISCORD FUNNEL — email capture, invites, unsubscribe, paid-member role
+   ============================================================ */
+const CONSENT_TEXT = 'I agree to receive emails about the suite.';
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const ACTIVE_SUBSCRIPTION = new Set(['active', 'trialing']);
+const OAUTH_STATE_TTL_MS = 15 * 60 * 1000;
+
+// HMAC tokens: unsubscribe links never expire, OAuth state carries its own expiry
+function signValue(secret, value) {
+  return crypto.createHmac('sha256', secret).update(String(value)).digest('base64url').slice(0, 32);
+}
+function tokenMatches(secret, value, token) {
+  const expected = Buffer.from(signValue(secret, value));
+  const got = Buffer.from(String(token || ''));
+  return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+}
+function normalizeEmail(email) {
+  const e = String(email || '').trim().toLowerCase();
+  return e.length <= 254 && EMAIL_RE.test(e) ? e : '';
+}
+function unsubscribeUrl(base, secret, email) {
+  return `${base}/unsubscribe?${new URLSearchParams({ email, token: signValue(secret, `unsubscribe:${email}`) })}`;
+}
+
+async function joinFunnel({ config, stores, bot, secret }, { email: rawEmail, consent, origin }) {
+  const email = normalizeEmail(rawEmail);
+  if (!email) throw new HttpError(400, 'Please enter a valid email address');
+  if (consent !== true) throw new HttpError(400, 'Consent is required to join');
+  requireBot(bot, config.discordInviteChannel);
+
+  const now = Date.now();
+  const lead = (await stores.leads.all())[email];
+  const recent = (lead?.invites || []).filter(i => now - Date.parse(i.issuedAt) < 24 * 3600 * 1000);
+  if (recent.length >= config.invitesPerDay) throw new HttpError(429, 'Too many invites for this email today — check your earlier link');
+
+  const invite = await bot.createInvite({ maxAgeSec: config.inviteMaxAgeSec, maxUses: 1 });
+  await stores.leads.update(all => {
+    const prev = all[email] || { email, createdAt: new Date(now).toISOString(), invites: [] };
+    all[email] = {
+      ...prev,
+      consentAt: new Date(now).toISOString(), // re-joining after an unsubscribe is a fresh opt-in
+      consentText: CONSENT_TEXT,
+      source: 'homepage',
+      unsubscribedAt: null,
+      invites: [...prev.invites, { ...invite, issuedAt: new Date(now).toISOString() }]
+    };
+  });
+  return { invite: invite.url, expiresAt: invite.expiresAt, unsubscribeUrl: unsubscribeUrl(config.siteUrl || origin, secret, email) };
+}
+
+async function unsubscribe({ stores, secret }, { email: rawEmail, token }) {
+  const email = normalizeEmail(rawEmail);
+  if (!email || !tokenMatches(secret, `unsubscribe:${email}`, token)) throw new HttpError(400, 'This unsubscribe link is invalid');
+  await stores.leads.update(all => {
+    if (all[email] && !all[email].unsubscribedAt) all[email].unsubscribedAt = new Date().toISOString();
+  });
+  return email;
+}
+
+// Stripe success page → Discord OAuth. The checkout session id proves who paid; the signed state
+// carries the subscription id through Discord's redirect.
+async function discordConnectUrl({ config, stores, bot, secret }, { sessionId, origin }) {
+  requireBot(bot, config.discordClientId, config.discordGuildId, config.discordMemberRoleId);
+  const subs = await stores.subscribers.all();
+  const [subId, sub] = Object.entries(subs).find(([, s]) => sessionId && s.checkoutSessionId === sessionId) || [];
+  if (!sub) throw new HttpError(404, 'We are still confirming your payment — try again in a minute');
+  if (!ACTIVE_SUBSCRIPTION.has(sub.status)) throw new HttpError(403, 'This subscription is not active');
+  const payload = `${subId}.${Date.now() + OAUTH_STATE_TTL_MS}`;
+  const params = new URLSearchParams({
+    client_id: config.discordClientId,
+    response_type: 'code',
+    scope: 'identify guilds.join',
+    redirect_uri: `${config.siteUrl || origin}/discord/callback`,
+    state: `${payload}.${signValue(secret, `oauth:${payload}`)}`,
+    prompt: 'none'
+  });
+  return `https://discord.com/oauth2/authorize?${params}`;
+}
+
+async function discordCallback({ config, stores, bot, secret }, { code, state, origin }) {
+  requireBot(bot, config.discordClientId, config.discordGuildId, config.discordMemberRoleId);
+  const [subId, exp, sig] = String(state || '').split('.');
+  if (!sig || !tokenMatches(secret, `oauth:${subId}.${exp}`, sig) || Number(exp) < Date.now()) {
+    throw new HttpError(400, 'This Discord link expired — start again from the thank-you page');
+  }
+  const sub = (await stores.subscribers.all())[subId];
+  if (!ACTIVE_SUBSCRIPTION.has(sub?.status)) throw new HttpError(403, 'This subscription is not active');
+  if (!code) throw new HttpError(400, 'Discord did not return an authorization code');
+
+  const { accessToken, userId } = await bot.exchangeCode(code, `${config.siteUrl || origin}/discord/callback`);
+  // one Discord account per subscription: moving to another account takes the role off the old one first,
+  // otherwise a cancellation (which only knows the stored id) would leave it on for good
+  if (sub.discordUserId && sub.discordUserId !== userId) {
+    await bot.removeRole(sub.discordUserId, config.discordMemberRoleId).catch(e => {
+      console.error(`Could not remove the member role from ${sub.discordUserId}:`, e.message || e);
+      throw new HttpError(502, 'Could not move the member role to this Discord account — try again in a minute');
+    });
+  }
+  await bot.addMember({ userId, accessToken, roleIds: [config.discordMemberRoleId] });
+  await stores.subscribers.update(all => {
+    all[subId] = { ...all[subId], discordUserId: userId, updatedAt: new Date().toISOString() };
+  });
+  return `https://discord.com/channels/${config.discordGuildId}`;
+}
+
+/* ============================================================
+   MEMBERS — tokens for subscribers + the members-only summary content
+   token = m1.<subscriptionId>.<expiresAtMs>.<hmac>; the subscriber record is
+   checked on every request, so a cancellation locks the content right away.
+   ============================================================ */
+const MEMBER_FILE_RE = /^([\w-]{6,32})\.(html|json)$/;
+
+async function issueMemberToken({ config, stores, secret }, { sessionId }) {
+  const subs = await stores.subscribers.all();
+  const [subId, sub] = Object.entries(subs).find(([, s]) => sessionId && s.checkoutSessionId === sessionId) || [];
+  if (!sub) throw new HttpError(404, 'We are still confirming your payment — try again in a minute');
+  if (!ACTIVE_SUBSCRIPTION.has(sub.status)) throw new HttpError(403, 'This subscription is not active');
+  const exp = Date.now() + config.memberTokenTtlDays * 864e5;
+  return { token: `m1.${subId}.${exp}.${signValue(secret, `member:${subId}.${exp}`)}`, expiresAt: new Date(exp).toISOString() };
+}
+async function requireMember({ stores, secret }, req) {
+  const [, token] = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i) || [];
+  const [version, subId, exp, sig] = String(token || '').split('.');
+  if (version !== 'm1' || !sig || !tokenMatches(secret, `member:${subId}.${exp}`, sig) || Number(exp) < Date.now()) {
+    throw new HttpError(401, 'Sign in again from your checkout receipt');
+  }
+  const sub = (await stores.subscribers.all())[subId];
+  if (!ACTIVE_SUBSCRIPTION.has(sub?.status)) throw new HttpError(403, 'This subscription is not active');
+  return subId;
+}
+async function memberSummary(ctx, { req, file }) {
+  await requireMember(ctx, req);
+  const m = MEMBER_FILE_RE.exec(file || '');
+  if (!m) throw new HttpError(404, 'Not found');
+  if (!ctx.config.membersKey) throw new HttpError(503, 'Members content is not configured');
+  let sealed;
+  try {
+    sealed = await fs.readFile(path.join(ctx.config.membersDir, 'summaries', `${m[0]}.enc`), 'utf8');
+  } catch {
+    throw new HttpError(404, 'No members content for this video');
+  }
+  const body = openMembersContent(sealed, ctx.config.membersKey, m[0]);
+  if (body == null) throw new HttpError(500, `Could not open sealed ${m[0]} (wrong MEMBERS_KEY?)`);
+  return { [RAW_RESPONSE]: { status: 200, headers: { 'Content-Type': CONTENT_TYPES[`.${m[2]}`], 'Cache-Control': 'private, no-store' }, body } };
+}
+
+/* ============================================================
+   HTTP — routes + static files
+   ============================================================ */
+const MAX_BODY_BYTES = 1024 * 1024;
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8', '.json': 'application/json; charset=utf-8', '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif', '.svg': 'image/svg+xml', '.ico': 'image/x-icon', '.webp': 'image/webp'
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      } else chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+function parseJSONBody(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body');
+  }
+}
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+function requestOrigin(req) {
+  const proto = String(req.headers['x-forwarded-proto'] || '').split(',')[0] || (req.socket.encrypted ? 'https' : 'http');
+  return `${proto}://${req.headers.host}`;
+}
+
+async function serveStatic(config, req, res, pathname) {
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname);
+  } catch {
+    throw new HttpError(400, 'Bad path');
+  }
+  if (rel.endsWith('/')) rel += 'index.html';
+  const file = path.join(config.siteDir, rel);
+  // no escaping the site dir, no dotfiles (.processed.json, .data/, .env …)
+  if (!file.startsWith(config.siteDir + path.sep) || rel.split('/').some(seg => seg.startsWith('.'))) {
+    throw new HttpError(404, 'Not found');
+  }
+  let body;
+  try {
+    body = await fs.readFile(file);
+  } catch {
+    throw new HttpError(404, 'Not found');
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// Routes return JSON data, or one of these for redirects / small HTML pages
+const RAW_RESPONSE = Symbol('raw response');
+const redirectTo = location => ({ [RAW_RESPONSE]: { status: 302, headers: { Location: location }, body: '' } });
+function htmlMessage(title, message, status = 200) {
+  const esc = t => String(t).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const body = `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(title)} – Syndotc™</title><meta name="robots" content="noindex"></head>
+<body style="font-family:Inter,sans-serif;background:#000;color:#fff;text-align:center;padding:4rem 1rem">
+<h1>${esc(title)}</h1><p style="color:#b5bac1">${esc(message)}</p><p><a href="/" style="color:#5865F2">Return to Home</a></p></body></html>`;
+  return { [RAW_RESPONSE]: { status, headers: { 'Content-Type': 'text/html; charset=utf-8' }, body } };
+}
+// browser-facing routes answer errors with a page instead of JSON
+function asPage(handler) {
+  return async ctx => {
+    try {
+      return await handler(ctx);
+    } catch (e) {
+      if (!(e instanceof HttpError)) throw e;
+      return htmlMessage('Something went wrong', e.message, e.status);
+    }
+  };
+}
+
+function buildRoutes(ctx) {
+  const { config, stores } = ctx;
+  const unsubscribeRoute = asPage(async ({ url, raw }) => {
+    const form = { ...Object.fromEntries(new URLSearchParams(raw)), ...Object.fromEntries(url.searchParams) };
+    await unsubscribe(ctx, form);
+    return htmlMessage('You are unsubscribed', 'You will not get any more emails about the suite. You can join again from the homepage anytime.');
+  });
+  return {
+    'GET /config.json': async () => ({
+      stripe: { publishableKey: config.stripePublishableKey, priceId: config.stripePriceIds[0] || '' }
+    }),
+    'POST /create-checkout-session': async ({ req, raw }) => {
+      const { priceId } = parseJSONBody(raw);
+      const session = await createCheckoutSession(config, { priceId, origin: requestOrigin(req) });
+      return { id: session.id, url: session.url };
+    },
+    'POST /stripe/webhook': async ({ req, raw }) => {
+      const event = verifyStripeSignature(raw, req.headers['stripe-signature'], config.stripeWebhookSecret, config.webhookToleranceSec);
+      const result = await applyStripeEvent({ ...ctx, store: stores.subscribers }, event);
+      console.log(`webhook ${event.type} (${event.id})${result.handled ? ` → ${result.subscriptionId}` : ' ignored'}`);
+      return { received: true };
+    },
+    'POST /discord/join': async ({ req, raw }) => {
+      const { email, consent } = parseJSONBody(raw);
+      return joinFunnel(ctx, { email, consent, origin: requestOrigin(req) });
+    },
+    'GET /unsubscribe': unsubscribeRoute,
+    'POST /unsubscribe': unsubscribeRoute, // one-click List-Unsubscribe-Post
+    'GET /discord/connect': asPage(async ({ req, url }) =>
+      redirectTo(await discordConnectUrl(ctx, { sessionId: url.searchParams.get('session_id'), origin: requestOrigin(req) }))),
+    'GET /discord/callback': asPage(async ({ req, url }) =>
+      redirectTo(await discordCallback(ctx, { code: url.searchParams.get('code'), state: url.searchParams.get('state'), origin: requestOrigin(req) }))),
+    'GET /members/session': async ({ url }) => issueMemberToken(ctx, { sessionId: url.searchParams.get('session_id') }),
+    'GET /members/summaries/:file': async ({ req, params }) => memberSummary(ctx, { req, file: params.file })
+  };
+}
+
+// Exact "METHOD /path" keys first, then keys with :params (one path segment each)
+function matchRoute(routes, method, pathname) {
+  if (routes[`${method} ${pathname}`]) return { route: routes[`${method} ${pathname}`], params: {} };
+  for (const [key, route] of Object.entries(routes)) {
+    const [m, pattern] = key.split(' ');
+    if (m !== method || !pattern.includes('/:')) continue;
+    const names = [];
+    const re = new RegExp(`^${pattern.replace(/\/:(\w+)/g, (_, n) => (names.push(n), '/([^/]+)'))}$`);
+    const hit = re.exec(pathname);
+    if (hit) return { route, params: Object.fromEntries(names.map((n, i) => [n, hit[i + 1]])) };
+  }
+  return { route: null, params: {} };
+}
+
+export function createSiteServer(config = loadConfig(), { bot = createDiscordBot(config) } = {}) {
+  // SITE_SECRET signs member tokens, unsubscribe links and OAuth state: a throwaway key would void them all on
+  // restart, so only the fake (local) mode may run without it
+  if (!config.siteSecret && config.discordBot !== 'fake') {
+    throw new Error('Missing env: SITE_SECRET (signs member tokens, unsubscribe links and Discord OAuth state; DISCORD_BOT=fake runs without it)');
+  }
+  const stores = { subscribers: createJsonStore(config.subscribersFile), leads: createJsonStore(config.leadsFile) };
+  const secret = config.siteSecret || crypto.randomBytes(32).toString('hex');
+  const routes = buildRoutes({ config, stores, bot, secret });
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+    try {
+      const { route, params } = matchRoute(routes, req.method, pathname);
+      if (route) {
+        const raw = req.method === 'POST' ? await readBody(req) : '';
+        const out = await route({ req, raw, url, params });
+        if (out?.[RAW_RESPONSE]) {
+          const { status, headers, body } = out[RAW_RESPONSE];
+          res.writeHead(status, { 'Cache-Control': 'no-store', ...headers });
+          res.end(body);
+        } else sendJSON(res, 200, out);
+      } else if (req.method === 'GET' || req.method === 'HEAD') {
+        await serveStatic(config, req, res, pathname);
+      } else {
+        throw new HttpError(405, 'Method not allowed');
+      }
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status >= 500) console.error(`${req.method} ${pathname} failed:`, e.message || e);
+      if (!res.headersSent) sendJSON(res, status, { error: status >= 500 && !(e instanceof HttpError) ? 'Internal error' : e.message });
+    }
+  });
+  return { server, stores, bot, routes };
+}
+
+/* ============================================================
+   MAIN — serve, or --replay <event.json> through the webhook handler
+   ============================================================ */
+async function replayEvent(config, file) {
+  if (!config.stripeWebhookSecret) config.stripeWebhookSecret = 'whsec_replay';
+  if (!config.siteSecret) config.siteSecret = 'replay'; // nothing signed here outlives the run
+  const payload = await fs.readFile(file, 'utf8');
+  const header = signStripePayload(payload, config.stripeWebhookSecret);
+  const { routes, stores } = createSiteServer(config);
+  const req = { headers: { 'stripe-signature': header } };
+  console.log(await routes['POST /stripe/webhook']({ req, raw: payload }));
+  console.log(JSON.stringify(await stores.subscribers.all(), null, 2));
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { values: args } = parseArgs({ options: { replay: { type: 'string' } } });
+  const config = loadConfig();
+  if (args.replay) {
+    replayEvent(config, args.replay).catch(e => {
+      console.error('Replay failed:', e.message || e);
+      process.exit(1);
+    });
+  } else {
+    for (const [name, v] of [['STRIPE_SECRET_KEY', config.stripeSecretKey], ['STRIPE_PUBLISHABLE_KEY', config.stripePublishableKey],
+      ['STRIPE_PRICE_ID', config.stripePriceIds.length], ['STRIPE_WEBHOOK_SECRET', config.stripeWebhookSecret]]) {
+      if (!v) console.warn(`⚠️ ${name} not set — the Stripe routes answer 503 until it is.`);
+    }
+    if (!config.discordBot) console.warn('⚠️ DISCORD_BOT_TOKEN not set (or DISCORD_BOT=fake) — the Discord routes answer 503.');
+    if (!config.siteSecret && config.discordBot !== 'fake') {
+      console.error('Missing env: SITE_SECRET (signs member tokens, unsubscribe links and Discord OAuth state; set DISCORD_BOT=fake for a local run without it)');
+      process.exit(1);
+    }
+    const { server } = createSiteServer(config);
+    server.listen(config.port, () => console.log(`Serving ${config.siteDir} on http://127.0.0.1:${config.port}` +
+      (config.discordBot === 'fake' ? ' (fake Discord bot)' : '')));
+  }
+}